@@ -1,134 +1,369 @@
-/*!
- * tyranno-input
- * MIT License
- *
- * This file provides a class to convert between user input and a standardized settings file
- */
-
-'use strict';
-
-var _ = require('lodash');
-var fs = require('fs');
-var mime = require('mime');
-var path = require('path');
-var send = require('send');
-var url = require('url');
-
-/**
- * Module constants.
- * @private
- */
-const INJECTABLE_EXTENSIONS = new Set(["", ".html", ".htm", ".xhtml", ".php"]);
-const INJECTED_CODE = fs.readFileSync(path.join(__dirname, "injected.html"), "utf8");
-const BODY_END_REGEX = new RegExp("</body>", "i");
-
-function addStaticPaths(server, urlPath, staticPaths, fileWatcher) {
-  if (!_.isString(staticPaths) && !_.isArray(staticPaths)) {
-    throw new Error("Static paths is required.");
-  }
-  if (!_.isString(urlPath)) {
-    throw new Error("Url path is required.");
-  }
-
-  if (_.isString(staticPaths)) {
-    staticPaths = [staticPaths];
-  }
-
-  let pathSpecifier = urlPath + '/::filePath';
-
-  server.addRoute('GET', pathSpecifier, servePaths);
-
-  if (server.shouldListen) {
-    let watchers = [];
-    _.each(staticPaths, function(staticPath) {
-      let watcher = fileWatcher.addWatch(staticPath);
-
-      if (!watcher) {
-        throw new Error("Unable to add watcher for static path '" + staticPath + "'.");
-      }
-
-      watchers.push(watcher);
-    });
-
-    server.addListener('close', function() {
-      _.each(watchers, function(watcher) {
-        watcher.close();
-      });
-    });
-  }
-
-  function servePaths(request, response) {
-    var index = 0;
-
-    servePath(request, response);
-
-    function servePath(request, response) {
-      if (index >= staticPaths.length) {
-          response.notFound().doDefault();
-          return;
-      }
-
-      let staticPath = staticPaths[index];
-      var filePath = path.join(staticPath, request.routeParams.filePath);
-
-      fs.lstat(filePath, function(err, stats) {
-        if (err) {
-          fileErrorResponse(err);
-          return;
-        }
-
-        if (stats.isDirectory()) {
-          filePath = path.join(filePath, 'index.html');
-        }
-
-        let extension = path.extname(filePath).toLocaleLowerCase()
-        let injectHtml = INJECTABLE_EXTENSIONS.has(extension) && server.shouldListen;
-
-        if (injectHtml) {
-          fs.readFile(filePath, 'utf8', function(err, html) {
-            if (err) {
-              fileErrorResponse(err);
-              return;
-            }
-
-            html = html.replace(BODY_END_REGEX, INJECTED_CODE + "</body>");
-
-            let mimeType = mime.lookup(filePath);
-            response.ok().content(html, mimeType);
-          });
-
-          return;
-        }
-
-        stream();
-      });
-
-      function stream() {
-        send(request, filePath)
-          .on('error', (error) => errorResponse("streaming file", error.status, error))
-          .on('directory', () => response.redirect(url.parse(request.url).pathname))
-          .pipe(response);
-      }
-
-      function fileErrorResponse(err) {
-        let code = err.code = 'ENOENT' ? 404 : 500;
-        errorResponse("lstat", code, err);
-      }
-
-      function errorResponse(what, code, error) {
-        if (code == 404) {
-          index++;
-          servePath(request, response);
-        }
-        else {
-          console.error("Error with " + what + ".");
-          console.error(error);
-          response.internalServerError().doDefault();
-          return;
-        }
-      }
-    }
-  }
-}
-
-module.exports = addStaticPaths;
+/*!
+ * tyranno-input
+ * MIT License
+ *
+ * This file provides a class to convert between user input and a standardized settings file
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var fs = require('fs');
+var mime = require('mime');
+var path = require('path');
+var send = require('send');
+var url = require('url');
+
+var autoindex = require('./autoindex.js');
+var injectLiveReload = require('./inject-live-reload.js');
+var pathPolicies = require('./path-policies.js');
+var preferredType = require('./negotiate.js').preferredType;
+var usePrecompressed = require('./precompressed.js');
+var normalizePath = require('./router.js').normalizePath;
+
+/**
+ * Module constants.
+ * @private
+ */
+const INJECTABLE_EXTENSIONS = new Set(["", ".html", ".htm", ".xhtml", ".php"]);
+const DEFAULT_SPA_FILE = 'index.html';
+
+function addStaticPaths(server, urlPath, staticPaths, fileWatcher) {
+  if (!_.isString(staticPaths) && !_.isArray(staticPaths)) {
+    throw new Error("Static paths is required.");
+  }
+  if (!_.isString(urlPath)) {
+    throw new Error("Url path is required.");
+  }
+
+  if (_.isString(staticPaths)) {
+    staticPaths = [staticPaths];
+  }
+
+  let pathSpecifier = urlPath + '/::filePath';
+  let spaFile = getSpaFile(server._settings.spa, urlPath);
+  let dotfilesPolicy = pathPolicies.getDotfilesPolicy(server._settings);
+  let symlinksPolicy = pathPolicies.getSymlinksPolicy(server._settings);
+
+  server._addStaticRoute(pathSpecifier, staticPaths, servePaths);
+
+  if (server.shouldListen) {
+    let watchers = [];
+    _.each(staticPaths, function(staticPath) {
+      let watcher = fileWatcher.addWatch(staticPath);
+
+      if (!watcher) {
+        throw new Error("Unable to add watcher for static path '" + staticPath + "'.");
+      }
+
+      watchers.push(watcher);
+    });
+
+    server.addListener('close', function() {
+      _.each(watchers, function(watcher) {
+        watcher.close();
+      });
+    });
+  }
+
+  function servePaths(request, response) {
+    if (request.routeParams.filePath.indexOf('\0') != -1) {
+      response.badRequest().doDefault();
+      return;
+    }
+    if (dotfilesPolicy != 'allow' && pathPolicies.hasDotfile(request.routeParams.filePath)) {
+      if (dotfilesPolicy == 'deny') {
+        response.forbidden().doDefault();
+      }
+      else {
+        response.notFound().doDefault();
+      }
+      return;
+    }
+
+    if (server._settings.cleanUrls && redirectHtml(request, response)) {
+      return;
+    }
+
+    var index = 0;
+    var relativePath = request.routeParams.filePath;
+    // Set once a directory without an index.html is found, so it can be listed if no fallback has anything better
+    var listDirectory = false;
+    var servingSpaFile = false;
+
+    servePath(request, response);
+
+    function servePath(request, response) {
+      if (index >= staticPaths.length) {
+        if (listDirectory) {
+          sendListing(request, response);
+          return;
+        }
+
+        if (!servingSpaFile && isSpaRequest(request)) {
+          // Start over with the app's index file, which goes through the fallbacks like any other file
+          servingSpaFile = true;
+          relativePath = spaFile;
+          index = 0;
+          servePath(request, response);
+          return;
+        }
+
+          response.notFound().doDefault();
+          return;
+      }
+
+      // The route parameter is decoded, so it can have .. in it even if the url didn't
+      let root = path.resolve(staticPaths[index]);
+      var filePath = path.join(root, relativePath);
+      if (!pathPolicies.isInsideRoot(root, filePath)) {
+        response.forbidden().doDefault();
+        return;
+      }
+
+      // Symlinks are followed here and checked against the policy once the file to send is known
+      fs.stat(filePath, function(err, stats) {
+        if (err) {
+          if (err.code == 'ENOENT' && isCleanUrl()) {
+            serveCleanUrl(err);
+            return;
+          }
+          fileErrorResponse(err);
+          return;
+        }
+
+        if (stats.isDirectory()) {
+          filePath = path.join(filePath, 'index.html');
+
+          if (server._settings.autoindex) {
+            fs.stat(filePath, function(err) {
+              if (err && err.code == 'ENOENT') {
+                // The directory itself is what would be listed, so it has to pass the symlinks policy
+                checkSymlinks(path.dirname(filePath), function() {
+                  listDirectory = true;
+                  fileErrorResponse(err);
+                });
+                return;
+              }
+              if (err) {
+                fileErrorResponse(err);
+                return;
+              }
+              serveFile();
+            });
+            return;
+          }
+        }
+
+        serveFile();
+      });
+
+      // Clean urls leave off the .html, so /about is about.html.
+      function isCleanUrl() {
+        return server._settings.cleanUrls && !servingSpaFile && relativePath !== '' && !path.extname(relativePath);
+      }
+
+      function serveCleanUrl(notFoundError) {
+        let htmlPath = filePath + '.html';
+        fs.stat(htmlPath, function(err, stats) {
+          if (err || !stats.isFile()) {
+            fileErrorResponse(notFoundError);
+            return;
+          }
+          filePath = htmlPath;
+          serveFile();
+        });
+      }
+
+      function serveFile() {
+        checkSymlinks(filePath, sendFile);
+      }
+
+      // Calls allowed if the path passes the symlinks policy, otherwise sends a forbidden.
+      function checkSymlinks(checkPath, allowed) {
+        pathPolicies.checkSymlinks(root, checkPath, symlinksPolicy, function(err, isAllowed) {
+          if (err) {
+            fileErrorResponse(err);
+            return;
+          }
+          if (!isAllowed) {
+            response.forbidden().doDefault();
+            return;
+          }
+          allowed();
+        });
+      }
+
+      // Calls back with whether a file sent in place of the requested one, like a precompressed sibling, passes the
+      // symlinks policy.
+      function isSymlinkAllowed(checkPath, callback) {
+        pathPolicies.checkSymlinks(root, checkPath, symlinksPolicy, (err, isAllowed) => callback(!err && isAllowed));
+      }
+
+      function sendFile() {
+        if (server._markdown && server._markdown.isMarkdown(filePath) && !_.has(request.query, 'raw')) {
+          renderMarkdown();
+          return;
+        }
+
+        let extension = path.extname(filePath).toLocaleLowerCase()
+        let injectHtml = INJECTABLE_EXTENSIONS.has(extension) && server.shouldListen;
+
+        if (injectHtml) {
+          injectFile();
+          return;
+        }
+
+        if (server._settings.precompressed) {
+          usePrecompressed(request, response, filePath, isSymlinkAllowed, stream);
+        }
+        else {
+          stream(filePath);
+        }
+      }
+
+      // Reads the html and sends it with the injected code. The file is stat'ed again since a directory's index file
+      // has its own modified time.
+      function injectFile() {
+        fs.stat(filePath, function(err, fileStats) {
+          if (err) {
+            fileErrorResponse(err);
+            return;
+          }
+
+          fs.readFile(filePath, 'utf8', function(err, html) {
+            if (err) {
+              fileErrorResponse(err);
+              return;
+            }
+
+            html = injectLiveReload(html);
+
+            let mimeType = mime.lookup(filePath);
+            response.ok()
+              .setHeader('Last-Modified', fileStats.mtime.toUTCString())
+              .content(html, mimeType);
+          });
+        });
+      }
+
+      // Sends the markdown as an html page, with the injected code like any other page.
+      function renderMarkdown() {
+        fs.stat(filePath, function(err, fileStats) {
+          if (err) {
+            fileErrorResponse(err);
+            return;
+          }
+
+          server._markdown.render(filePath, fileStats, function(err, html) {
+            if (err) {
+              errorResponse("rendering markdown", 500, err);
+              return;
+            }
+
+            response.ok().content(server.shouldListen ? injectLiveReload(html) : html, 'text/html');
+          });
+        });
+      }
+
+      function stream(streamPath) {
+        // The dotfiles policy was already checked, and only for the part of the path under the static path
+        send(request, streamPath, { dotfiles: 'allow' })
+          .on('error', (error) => errorResponse("streaming file", error.status, error))
+          .on('directory', () => response.redirect(url.parse(request.url).pathname))
+          .pipe(response);
+      }
+
+      // A file in place of a directory in the path (like /1.txt/more) is just as missing
+      function fileErrorResponse(err) {
+        let code = err.code === 'ENOENT' || err.code === 'ENOTDIR' ? 404 : 500;
+        errorResponse("lstat", code, err);
+      }
+
+      function errorResponse(what, code, error) {
+        if (code == 404) {
+          index++;
+          servePath(request, response);
+        }
+        else {
+          server._reportError(error, request, response);
+          response.internalServerError().doDefault();
+          return;
+        }
+      }
+    }
+  }
+
+  // With clean urls, a request for a page's .html (other than an index.html) is redirected to the url without it.
+  function redirectHtml(request, response) {
+    let filePath = request.routeParams.filePath;
+    if ((request.method != 'GET' && request.method != 'HEAD') || !/\.html$/i.test(filePath) ||
+        path.basename(filePath).toLowerCase() == 'index.html') {
+      return false;
+    }
+
+    let parsedUrl = url.parse(request.url);
+    let pathname = parsedUrl.pathname.replace(/\.html\/*$/i, '');
+    if (pathname == parsedUrl.pathname) {
+      // Encoded some other way, which isn't worth redirecting
+      return false;
+    }
+
+    // Leading slashes are collapsed so that //example.com/about.html can't become a redirect to another site
+    response.redirect(pathname.replace(/^\/+/, '/') + (parsedUrl.search || ''));
+    return true;
+  }
+
+  // Whether a request that missed every static path should get the single page app's index file instead. Only pages
+  // are, so a missing asset (anything with an extension) or a request from a script is still a 404.
+  function isSpaRequest(request) {
+    if (!spaFile || (request.method != 'GET' && request.method != 'HEAD')) {
+      return false;
+    }
+    if (path.extname(request.routeParams.filePath)) {
+      return false;
+    }
+
+    let accept = request.headers['accept'];
+    return !!accept && preferredType(accept, ['text/html']) == 'text/html';
+  }
+
+  // Lists the directory as it is in every static path, as html or as json if that's what the client asked for.
+  function sendListing(request, response) {
+    let directories = staticPaths.map((staticPath) => path.join(staticPath, request.routeParams.filePath));
+    // The links are made from the path the directories were found with rather than however the request wrote it
+    let listingPath = path.posix.normalize('/' + urlPath + '/' + request.routeParams.filePath + '/');
+
+    autoindex.listDirectories(directories, dotfilesPolicy == 'allow', function(err, entries) {
+      if (err) {
+        console.error("Error with listing directory.");
+        console.error(err);
+        response.internalServerError().doDefault();
+        return;
+      }
+
+      let sendHtml = function(sender) {
+        let html = autoindex.renderListing(listingPath, entries);
+        sender.content(server.shouldListen ? injectLiveReload(html) : html, 'text/html');
+      };
+
+      response.ok().negotiate({ 'text/html': sendHtml, 'application/json': entries, default: sendHtml });
+    });
+  }
+}
+
+// Gets the single page app index file for a url path. The spa setting is either the file for every path (true for
+// index.html) or an object of url paths to files.
+function getSpaFile(spa, urlPath) {
+  if (_.isPlainObject(spa)) {
+    let key = _.find(_.keys(spa), (key) => normalizePath(key) == urlPath);
+    spa = key === undefined ? null : spa[key];
+  }
+
+  if (spa === true) {
+    return DEFAULT_SPA_FILE;
+  }
+  return _.isString(spa) && spa ? spa : null;
+}
+
+module.exports = addStaticPaths;
@@ -0,0 +1,136 @@
+/*!
+ * autoindex
+ * MIT License
+ *
+ * This file lists the contents of static directories that don't have an index.html.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+var escapeHtml = require('./views.js').escapeHtml;
+
+/**
+ * Lists the entries of several directories as one, as if the later ones were fallbacks for the earlier ones: if two
+ * directories have an entry with the same name, the one from the earlier directory is used. Directories come first,
+ * then files, each sorted by name.
+ *
+ * @param directories {[string]} The directories to list, in fallback order. Ones that don't exist are skipped.
+ * @param showHidden {boolean} Whether to list hidden files (starting with a dot), which should only be done if they
+ * are served.
+ * @param callback {function} Called with an error or the entries, each of which has name, type ('directory' or
+ * 'file'), size in bytes and mtime.
+ */
+function listDirectories(directories, showHidden, callback) {
+  let listings = new Array(directories.length);
+  let failed = false;
+
+  let done = _.after(directories.length, function() {
+    let entries = [];
+    let seen = new Set();
+    listings.forEach(function(listing) {
+      listing.forEach(function(entry) {
+        if (!seen.has(entry.name)) {
+          seen.add(entry.name);
+          entries.push(entry);
+        }
+      });
+    });
+
+    callback(null, _.sortByAll(entries, [(entry) => entry.type != 'directory', 'name']));
+  });
+
+  directories.forEach(function(directory, index) {
+    listDirectory(directory, showHidden, function(err, entries) {
+      if (failed) {
+        return;
+      }
+      if (err) {
+        failed = true;
+        callback(err);
+        return;
+      }
+
+      listings[index] = entries;
+      done();
+    });
+  });
+}
+
+function listDirectory(directory, showHidden, callback) {
+  fs.readdir(directory, function(err, names) {
+    if (err) {
+      // Not every fallback has to have the directory
+      callback(err.code == 'ENOENT' || err.code == 'ENOTDIR' ? null : err, []);
+      return;
+    }
+
+    names = names.filter((name) => showHidden || !name.startsWith('.'));
+    let entries = [];
+    let done = _.after(names.length, () => callback(null, entries));
+    if (names.length == 0) {
+      callback(null, entries);
+      return;
+    }
+
+    names.forEach(function(name) {
+      fs.stat(path.join(directory, name), function(err, stats) {
+        // Broken links and the like are left out
+        if (!err) {
+          entries.push({
+            name: name,
+            type: stats.isDirectory() ? 'directory' : 'file',
+            size: stats.size,
+            mtime: stats.mtime
+          });
+        }
+        done();
+      });
+    });
+  });
+}
+
+/**
+ * Renders entries from listDirectories as an html page.
+ *
+ * @param urlPath {string} The decoded path of the directory in the url, starting and ending with a slash.
+ * @param entries {[object]} The entries to list.
+ * @return {string} The html.
+ */
+function renderListing(urlPath, entries) {
+  let rows = entries.map(function(entry) {
+    let isDirectory = entry.type == 'directory';
+    let href = encodePath(urlPath) + encodeURIComponent(entry.name) + (isDirectory ? '/' : '');
+    return '<tr>' +
+      '<td><a href="' + escapeHtml(href) + '">' + escapeHtml(entry.name + (isDirectory ? '/' : '')) + '</a></td>' +
+      '<td>' + (isDirectory ? '-' : entry.size) + '</td>' +
+      '<td>' + escapeHtml(entry.mtime.toISOString()) + '</td>' +
+      '</tr>';
+  });
+
+  if (urlPath != '/') {
+    let parent = urlPath.replace(/[^\/]+\/$/, '');
+    rows.unshift('<tr><td><a href="' + escapeHtml(encodePath(parent)) + '">../</a></td><td></td><td></td></tr>');
+  }
+
+  let title = 'Index of ' + escapeHtml(urlPath);
+  return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>' + title + '</title></head>\n<body>\n' +
+    '<h1>' + title + '</h1>\n' +
+    '<table>\n<tr><th>Name</th><th>Size</th><th>Modified</th></tr>\n' + rows.join('\n') + '\n</table>\n' +
+    '</body>\n</html>\n';
+}
+
+// Encodes each piece of a decoded url path.
+function encodePath(urlPath) {
+  return urlPath.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports.listDirectories = listDirectories;
+module.exports.renderListing = renderListing;
@@ -0,0 +1,160 @@
+/*!
+ * body-parser
+ * MIT License
+ *
+ * This file reads incoming request bodies and parses them according to their content type.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var querystring = require('querystring');
+
+var parseMultipart = require('./multipart.js');
+var statusError = require('./status-error.js');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+const MULTIPART_TYPE = 'multipart/form-data';
+const JSON_TYPE_REGEX = /^application\/([\w.-]+\+)?json$/;
+const CHARSET_REGEX = /;\s*charset\s*=\s*"?([\w-]+)"?/i;
+
+/**
+ * Reads the whole body of the request and parses it based on its Content-Type header:
+ *   * application/json (and any +json type) is parsed as json.
+ *   * application/x-www-form-urlencoded is parsed into an object like a query string.
+ *   * text/* is decoded to a string.
+ *   * multipart/form-data is streamed; the body is the fields and the uploaded files are passed separately.
+ *   * Anything else is left as a Buffer.
+ * An empty body is always undefined.
+ *
+ * @param request The incoming http request.
+ * @param options {object} The server settings. maxBodySize is the largest body in bytes that will be read (defaults to
+ * one megabyte). Multipart bodies also use uploadDirectory, maxFileSize and maxFiles, @see multipart.
+ * @param callback {function} Called with an error (which has a statusCode of 400, 413 or 500) or the parsed body and,
+ * for multipart bodies, the uploaded files.
+ */
+function parseBody(request, options, callback) {
+  if (getType(request.headers['content-type']) == MULTIPART_TYPE) {
+    parseMultipart(request, options, callback);
+    return;
+  }
+
+  let maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+
+  let contentLength = parseInt(request.headers['content-length'], 10);
+  if (contentLength > maxBodySize) {
+    rejectBody(request, statusError(413, "Request body is larger than " + maxBodySize + " bytes."), callback);
+    return;
+  }
+
+  var chunks = [];
+  var length = 0;
+  var finished = false;
+
+  request.on('data', onData);
+  request.on('end', onEnd);
+  request.on('error', onError);
+
+  function onData(chunk) {
+    length += chunk.length;
+
+    if (length > maxBodySize) {
+      finish(statusError(413, "Request body is larger than " + maxBodySize + " bytes."));
+      return;
+    }
+
+    chunks.push(chunk);
+  }
+
+  function onEnd() {
+    let body;
+    try {
+      body = parse(request.headers['content-type'], Buffer.concat(chunks, length));
+    }
+    catch (error) {
+      finish(statusError(400, "Unable to parse request body: " + error.message));
+      return;
+    }
+    finish(null, body);
+  }
+
+  function onError(error) {
+    finish(statusError(400, "Unable to read request body: " + error.message));
+  }
+
+  function finish(err, body) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    request.removeListener('data', onData);
+    request.removeListener('end', onEnd);
+    request.removeListener('error', onError);
+
+    if (err) {
+      rejectBody(request, err, callback);
+      return;
+    }
+    callback(null, body);
+  }
+}
+
+/**
+ * Gives up on reading a request body. Whatever else is sent is thrown away so the response can still go out.
+ * @internal
+ *
+ * @param request The incoming http request.
+ * @param err {Error} The error to call back with, which should have a statusCode.
+ * @param callback {function} Called with the error.
+ */
+function rejectBody(request, err, callback) {
+  request.resume();
+  callback(err);
+}
+
+// Converts a raw body buffer into a value based on the content type.
+function parse(contentTypeHeader, buffer) {
+  if (buffer.length == 0) {
+    return undefined;
+  }
+
+  let type = getType(contentTypeHeader);
+
+  if (JSON_TYPE_REGEX.test(type)) {
+    return JSON.parse(decode(buffer, contentTypeHeader));
+  }
+  if (type == 'application/x-www-form-urlencoded') {
+    return querystring.parse(decode(buffer, contentTypeHeader));
+  }
+  if (type.startsWith('text/')) {
+    return decode(buffer, contentTypeHeader);
+  }
+  return buffer;
+}
+
+// Gets the lower case mime type from a Content-Type header, without any parameters.
+function getType(contentTypeHeader) {
+  return (contentTypeHeader || '').split(';')[0].trim().toLowerCase();
+}
+
+function decode(buffer, contentTypeHeader) {
+  let match = CHARSET_REGEX.exec(contentTypeHeader);
+  let charset = match ? match[1].toLowerCase() : 'utf8';
+
+  if (!Buffer.isEncoding(charset)) {
+    throw new Error("Unsupported charset '" + charset + "'.");
+  }
+  return buffer.toString(charset);
+}
+
+module.exports = parseBody;
+module.exports.JSON_TYPE_REGEX = JSON_TYPE_REGEX;
+module.exports.rejectBody = rejectBody;
@@ -0,0 +1,211 @@
+/*!
+ * compression
+ * MIT License
+ *
+ * This file compresses responses with gzip or brotli, whichever the request's Accept-Encoding header prefers.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var zlib = require('zlib');
+
+var negotiate = require('./negotiate.js');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DEFAULT_THRESHOLD = 1024;
+const DEFAULT_TYPES = [
+  'text/*',
+  'application/javascript',
+  'application/json',
+  'application/*+json',
+  'application/xml',
+  'application/*+xml',
+  'application/wasm',
+  'image/svg+xml',
+  'image/x-icon',
+  'font/otf',
+  'font/ttf'
+];
+// Brotli is only available on newer versions of node
+const ENCODINGS = _.isFunction(zlib.createBrotliCompress) ? ['br', 'gzip'] : ['gzip'];
+// Nothing is sent until the compressor has a full block, which would hold events back
+const NEVER_COMPRESSED_TYPES = new Set(['text/event-stream']);
+
+/**
+ * Sets up the response so that whatever is written to it is compressed, as long as:
+ *   * The request's Accept-Encoding header allows gzip or br.
+ *   * The Content-Type is one of the compressible types.
+ *   * The Content-Length (if it's known) is at least the threshold.
+ *   * Nothing else has set a Content-Encoding, there's no Cache-Control: no-transform, and the response has a body
+ *     that isn't a range.
+ * The choice is made when the headers are written, so anything writing to the response (including send and pipe) is
+ * compressed the same way.
+ *
+ * @param request The incoming http request.
+ * @param response The response to compress.
+ * @param options {object} The server settings. noCompression turns compression off, compressionThreshold is the
+ * smallest Content-Length in bytes that is compressed (defaults to 1024) and compressibleTypes are the mime types to
+ * compress, which may use * as a wildcard (defaults to text, json, javascript, xml, svg and a few others).
+ */
+function compressResponse(request, response, options) {
+  if (options.noCompression) {
+    return;
+  }
+
+  let threshold = _.isNumber(options.compressionThreshold) ? options.compressionThreshold : DEFAULT_THRESHOLD;
+  let typeRegexes = getTypeRegexes(_.isEmpty(options.compressibleTypes) ? DEFAULT_TYPES : options.compressibleTypes);
+
+  var writeHead = response.writeHead;
+  var write = response.write;
+  var end = response.end;
+  var compressor = null;
+
+  response.writeHead = function(statusCode) {
+    // Headers passed in are set first so that they can be looked at
+    let headers = arguments[arguments.length - 1];
+    let args = _.toArray(arguments);
+    if (args.length > 1 && _.isObject(headers) && !_.isArray(headers)) {
+      args.pop();
+      _.each(headers, (value, name) => response.setHeader(name, value));
+    }
+
+    response.statusCode = statusCode;
+    compressor = createCompressor();
+    return writeHead.apply(response, args);
+  };
+
+  response.write = function(chunk, encoding, callback) {
+    if (!response.headersSent) {
+      response.writeHead(response.statusCode);
+    }
+    if (!compressor) {
+      return write.apply(response, arguments);
+    }
+    return compressor.write(chunk, encoding, callback);
+  };
+
+  response.end = function(chunk, encoding, callback) {
+    if (!response.headersSent) {
+      // With all of the body in hand we know whether it's big enough to bother with
+      if (chunk && !response.getHeader('Content-Length') && !_.isFunction(chunk)) {
+        response.setHeader('Content-Length', Buffer.byteLength(chunk, _.isString(encoding) ? encoding : undefined));
+      }
+      response.writeHead(response.statusCode);
+    }
+    if (!compressor) {
+      return end.apply(response, arguments);
+    }
+
+    if (_.isFunction(chunk)) {
+      callback = chunk;
+      chunk = null;
+    }
+    else if (_.isFunction(encoding)) {
+      callback = encoding;
+      encoding = null;
+    }
+    if (callback) {
+      response.once('finish', callback);
+    }
+
+    if (chunk) {
+      compressor.end(chunk, encoding || undefined);
+    }
+    else {
+      compressor.end();
+    }
+    return response;
+  };
+
+  // Decides whether to compress based on the headers, returning the compressor if so.
+  function createCompressor() {
+    let type = String(response.getHeader('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!isCompressible(type)) {
+      return null;
+    }
+
+    let contentEncoding = response.getHeader('Content-Encoding');
+    if (contentEncoding && contentEncoding != 'identity') {
+      return null;
+    }
+    if (/(?:^|,)\s*no-transform\s*(?:,|$)/i.test(response.getHeader('Cache-Control') || '')) {
+      return null;
+    }
+
+    let contentLength = response.getHeader('Content-Length');
+    if (contentLength !== undefined && parseInt(contentLength, 10) < threshold) {
+      return null;
+    }
+
+    // Whether the response is compressed depends on the request, whether or not this one is
+    negotiate.vary(response, 'Accept-Encoding');
+
+    let statusCode = response.statusCode;
+    if (request.method == 'HEAD' || statusCode < 200 || statusCode == 204 || statusCode == 206 || statusCode == 304) {
+      return null;
+    }
+
+    let encoding = negotiate.preferredEncoding(request.headers['accept-encoding'], ENCODINGS);
+    if (!encoding) {
+      return null;
+    }
+
+    response.setHeader('Content-Encoding', encoding);
+    response.removeHeader('Content-Length');
+    weakenEtag(response);
+
+    let stream = encoding == 'br' ? createBrotli() : zlib.createGzip();
+
+    stream.on('data', function(chunk) {
+      if (write.call(response, chunk) === false) {
+        stream.pause();
+      }
+    });
+    stream.on('end', () => end.call(response));
+    stream.on('error', () => response.destroy());
+    // Whoever is writing to the response waits for it to drain, so the compressor's drain is passed on
+    stream.on('drain', () => response.emit('drain'));
+    response.on('drain', () => stream.resume());
+    // Stops compressing if the client goes away before the end
+    response.on('close', () => stream.destroy());
+
+    return stream;
+  }
+
+  function isCompressible(type) {
+    return type && !NEVER_COMPRESSED_TYPES.has(type) && _.some(typeRegexes, (regex) => regex.test(type));
+  }
+}
+
+// Turns compressible types like text/* into regular expressions.
+function getTypeRegexes(types) {
+  return _.map(types, function(type) {
+    let pattern = _.escapeRegExp(type.toLowerCase()).replace(/\\\*/g, '[\\w.+-]*');
+    return new RegExp('^' + pattern + '$');
+  });
+}
+
+// The compressed bytes aren't the ones a strong ETag was made from, though they mean the same thing.
+function weakenEtag(response) {
+  let etag = response.getHeader('ETag');
+  if (etag && !String(etag).startsWith('W/')) {
+    response.setHeader('ETag', 'W/' + etag);
+  }
+}
+
+// Brotli's default quality is meant for compressing ahead of time and is too slow for every request.
+function createBrotli() {
+  let params = {};
+  params[zlib.constants.BROTLI_PARAM_QUALITY] = 4;
+  return zlib.createBrotliCompress({ params: params });
+}
+
+module.exports = compressResponse;
@@ -0,0 +1,220 @@
+/*!
+ * cookies
+ * MIT License
+ *
+ * This file reads the cookies of requests and writes Set-Cookie headers, optionally signing them with an hmac.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var crypto = require('crypto');
+
+/**
+ * Module constants.
+ * @private
+ */
+const SIGNED_PREFIX = 's:';
+// The characters a cookie name can have (a token in RFC 7230)
+const NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// Domains and paths can't end the cookie early or start a new attribute
+const ATTRIBUTE_REGEX = /^[^;\x00-\x1f\x7f]*$/;
+const SAME_SITE_VALUES = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Reads the Cookie header of a request. Values are url decoded. Values that were signed (with setCookie's signed
+ * option) are checked against the secret: the ones that match go in signedCookies without their signature and the ones
+ * that don't are left out. Signed cookies are never in cookies, so a forged one can't be mistaken for a real one.
+ *
+ * @param cookieHeader {string} The Cookie header of the request, if there is one.
+ * @param secret {string|[string]} The secret (or secrets, to allow changing it) that cookies were signed with.
+ * @return {object} Has cookies and signedCookies, each an object of names to values.
+ */
+function parseCookies(cookieHeader, secret) {
+  let cookies = {};
+  let signedCookies = {};
+
+  (cookieHeader || '').split(';').forEach(function(pair) {
+    let index = pair.indexOf('=');
+    if (index == -1) {
+      return;
+    }
+
+    let name = pair.substring(0, index).trim();
+    let value = pair.substring(index + 1).trim();
+    if (!name || _.has(cookies, name) || _.has(signedCookies, name)) {
+      // The first cookie with a name is the most specific one
+      return;
+    }
+
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1);
+    }
+    value = decode(value);
+
+    if (!value.startsWith(SIGNED_PREFIX)) {
+      cookies[name] = value;
+      return;
+    }
+
+    let unsigned = unsign(value.substring(SIGNED_PREFIX.length), secret);
+    if (unsigned !== null) {
+      signedCookies[name] = unsigned;
+    }
+  });
+
+  return { cookies: cookies, signedCookies: signedCookies };
+}
+
+/**
+ * Adds a Set-Cookie header to the response, keeping any that were already set.
+ *
+ * @param response The response to add the cookie to.
+ * @param name {string} The name of the cookie.
+ * @param value {string} The value, which is url encoded.
+ * @param options {object} Optional. May have:
+ *   * maxAge: How many seconds the cookie lasts (Max-Age).
+ *   * expires: A Date for when the cookie expires (Expires).
+ *   * domain: The domain the cookie is sent to (Domain).
+ *   * path: The path the cookie is sent to (Path). Defaults to /.
+ *   * secure: Only send the cookie over https (Secure).
+ *   * httpOnly: Keep the cookie from scripts (HttpOnly).
+ *   * sameSite: 'Strict', 'Lax' or 'None' (SameSite). True is the same as 'Strict'. 'None' needs secure.
+ *   * signed: Sign the value with the secret so it can be read back from request.signedCookies.
+ * @param secret {string|[string]} The secret to sign with. With several, the first is used.
+ */
+function setCookie(response, name, value, options, secret) {
+  options = options || {};
+  value = String(value);
+
+  if (!NAME_REGEX.test(name)) {
+    throw new Error("Invalid cookie name '" + name + "'.");
+  }
+
+  if (options.signed) {
+    if (_.isEmpty(secret)) {
+      throw new Error("A cookie secret is required for signed cookies.");
+    }
+    value = SIGNED_PREFIX + sign(value, _.isArray(secret) ? secret[0] : secret);
+  }
+
+  let cookie = name + '=' + encodeURIComponent(value);
+
+  if (options.maxAge != null) {
+    let maxAge = Math.floor(options.maxAge);
+    if (!isFinite(maxAge)) {
+      throw new Error("Invalid max age for cookie '" + name + "'.");
+    }
+    cookie += '; Max-Age=' + maxAge;
+  }
+  if (options.expires) {
+    if (!_.isDate(options.expires) || isNaN(options.expires.getTime())) {
+      throw new Error("Invalid expires for cookie '" + name + "'.");
+    }
+    cookie += '; Expires=' + options.expires.toUTCString();
+  }
+  if (options.domain) {
+    cookie += '; Domain=' + checkAttribute(name, 'domain', options.domain);
+  }
+  cookie += '; Path=' + checkAttribute(name, 'path', options.path || '/');
+  if (options.secure) {
+    cookie += '; Secure';
+  }
+  if (options.httpOnly) {
+    cookie += '; HttpOnly';
+  }
+  if (options.sameSite) {
+    let sameSite = options.sameSite === true ? 'Strict' : SAME_SITE_VALUES[String(options.sameSite).toLowerCase()];
+    if (!sameSite) {
+      throw new Error("Invalid same site '" + options.sameSite + "' for cookie '" + name + "'.");
+    }
+    if (sameSite == 'None' && !options.secure) {
+      throw new Error("Cookie '" + name + "' must be secure to have a same site of None.");
+    }
+    cookie += '; SameSite=' + sameSite;
+  }
+
+  appendSetCookie(response, cookie);
+}
+
+/**
+ * Tells the client to delete a cookie. The domain and path have to match the ones the cookie was set with.
+ *
+ * @param response The response to add the header to.
+ * @param name {string} The name of the cookie.
+ * @param options {object} Optional. The options the cookie was set with, of which domain and path matter.
+ */
+function clearCookie(response, name, options) {
+  let clearOptions = _.extend({}, options, { expires: new Date(0), maxAge: 0, signed: false });
+  setCookie(response, name, '', clearOptions);
+}
+
+function appendSetCookie(response, cookie) {
+  let existing = response.getHeader('Set-Cookie');
+  if (!existing) {
+    response.setHeader('Set-Cookie', [cookie]);
+  }
+  else {
+    response.setHeader('Set-Cookie', [].concat(existing, cookie));
+  }
+}
+
+function checkAttribute(name, attribute, value) {
+  if (!ATTRIBUTE_REGEX.test(value)) {
+    throw new Error("Invalid " + attribute + " '" + value + "' for cookie '" + name + "'.");
+  }
+  return value;
+}
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  }
+  catch (error) {
+    // Not every client encodes cookies, so take it as it is
+    return value;
+  }
+}
+
+// Signed values are the value and the base64 hmac of it, separated by a dot.
+function sign(value, secret) {
+  return value + '.' + hmac(value, secret);
+}
+
+// Gets the value back out of a signed value if it was signed with one of the secrets, otherwise null.
+function unsign(signedValue, secret) {
+  let index = signedValue.lastIndexOf('.');
+  if (index == -1 || _.isEmpty(secret)) {
+    return null;
+  }
+
+  let value = signedValue.substring(0, index);
+  let signature = signedValue.substring(index + 1);
+  let secrets = _.isArray(secret) ? secret : [secret];
+  return _.some(secrets, (s) => safeEqual(signature, hmac(value, s))) ? value : null;
+}
+
+function hmac(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '');
+}
+
+// Compares without stopping at the first difference so the time taken doesn't give the signature away.
+function safeEqual(a, b) {
+  if (a.length != b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+module.exports.parseCookies = parseCookies;
+module.exports.setCookie = setCookie;
+module.exports.clearCookie = clearCookie;
@@ -0,0 +1,166 @@
+/*!
+ * header-rules
+ * MIT License
+ *
+ * This file provides the header rules from the settings, which add headers (like Cache-Control) to responses by path.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var url = require('url');
+
+/**
+ * Module constants.
+ * @private
+ */
+const CACHE_CONTROL_PRESETS = {
+  'immutable': 'public, max-age=31536000, immutable',
+  'no-store': 'no-store',
+  'no-cache': 'no-cache'
+};
+const HEADER_SHORTCUT_REGEX = /^(?:([^=:]*)=)?([^:=]+):\s*(.*)$/;
+
+/**
+ * The headers to add to responses depending on their path. They come from these settings:
+ *   * headers: An object of paths to objects of header names to values. A path with * or ? in it is a glob, where *
+ *     matches within a folder, ** matches across folders and ? matches one character, like '/assets/**.js'.
+ *     Any other path matches itself and everything under it, like '/api'. Cache-Control can be given as one of the
+ *     presets immutable (cached for a year without revalidating), no-store or no-cache.
+ *   * header: An array of 'Name: value' or 'path=Name: value' strings, which is how --header gives them.
+ *   * immutable: An array of paths to give Cache-Control: immutable.
+ *   * noStore: An array of paths to give Cache-Control: no-store.
+ * Every rule that matches applies, in that order, so a later one wins when two set the same header. The headers are
+ * set before the request is routed, so static files keep them and a route can still change them. Error responses lose
+ * a Cache-Control that came from the rules, since they shouldn't be cached like the thing that wasn't found.
+ * @internal
+ */
+class HeaderRules {
+  /**
+   * @param settings {object} The settings of the server.
+   */
+  constructor(settings) {
+    var self = this;
+    this._rules = [];
+
+    let headers = settings.headers || {};
+    if (!_.isPlainObject(headers)) {
+      throw new Error("Headers must be an object of paths to headers.");
+    }
+    _.forOwn(headers, (values, pattern) => self._addRule(pattern, values));
+
+    _.each(settings.header, function(shortcut) {
+      let match = HEADER_SHORTCUT_REGEX.exec(shortcut);
+      if (!match) {
+        throw new Error("Invalid header '" + shortcut + "'. Must be 'Name: value' or 'path=Name: value'.");
+      }
+      let values = {};
+      values[match[2].trim()] = match[3];
+      self._addRule(match[1] || '/', values);
+    });
+    _.each(settings.immutable, (pattern) => self._addRule(pattern, { 'Cache-Control': 'immutable' }));
+    _.each(settings.noStore, (pattern) => self._addRule(pattern, { 'Cache-Control': 'no-store' }));
+  }
+
+  /**
+   * Sets the headers of every rule that matches the request on the response.
+   *
+   * @param request The incoming http request.
+   * @param response The response to set the headers on.
+   */
+  apply(request, response) {
+    if (this._rules.length == 0) {
+      return;
+    }
+
+    let pathname = getPathname(request.url);
+    let headers = {};
+    this._rules.forEach(function(rule) {
+      if (rule.matches(pathname)) {
+        _.extend(headers, rule.headers);
+      }
+    });
+    if (_.isEmpty(headers)) {
+      return;
+    }
+
+    _.forOwn(headers, (value, name) => response.setHeader(name, value));
+
+    let cacheControl = _.find(headers, (value, name) => name.toLowerCase() == 'cache-control');
+    if (cacheControl) {
+      dropCacheControlOnError(response, cacheControl);
+    }
+  }
+
+  _addRule(pattern, values) {
+    if (!_.isString(pattern)) {
+      throw new Error("Header paths must be strings.");
+    }
+    if (!_.isPlainObject(values) || !_.every(values, (value) => _.isString(value) || _.isNumber(value))) {
+      throw new Error("Headers for '" + pattern + "' must be an object of header names to values.");
+    }
+
+    let headers = _.mapValues(values, function(value, name) {
+      value = String(value);
+      if (name.toLowerCase() == 'cache-control' && _.has(CACHE_CONTROL_PRESETS, value)) {
+        return CACHE_CONTROL_PRESETS[value];
+      }
+      return value;
+    });
+
+    this._rules.push({ matches: compilePattern(pattern), headers: headers });
+  }
+}
+
+// Turns a glob or a path prefix into a function that checks a pathname (which starts with a slash) against it.
+function compilePattern(pattern) {
+  if (!pattern.startsWith('/')) {
+    pattern = '/' + pattern;
+  }
+
+  if (!/[*?]/.test(pattern)) {
+    let prefix = pattern.replace(/\/+$/, '');
+    return (pathname) => prefix === '' || pathname === prefix || pathname.startsWith(prefix + '/');
+  }
+
+  let source = pattern.split(/(\*\*\/|\*\*|\*|\?)/).map(function(part) {
+    switch (part) {
+      case '**/': return '(?:.*/)?';
+      case '**': return '.*';
+      case '*': return '[^/]*';
+      case '?': return '[^/]';
+      default: return _.escapeRegExp(part);
+    }
+  }).join('');
+
+  let regex = new RegExp('^' + source + '$');
+  return (pathname) => regex.test(pathname);
+}
+
+function getPathname(requestUrl) {
+  let pathname = url.parse(requestUrl).pathname || '/';
+  try {
+    return decodeURIComponent(pathname);
+  }
+  catch (error) {
+    // Routing turns a badly encoded path into a bad request, so the rules don't have to get it right
+    return pathname;
+  }
+}
+
+// Removes the Cache-Control from the rules when the response turns out to be an error, unless something else changed it.
+function dropCacheControlOnError(response, cacheControl) {
+  var writeHead = response.writeHead;
+  response.writeHead = function(statusCode) {
+    if (statusCode >= 400 && response.getHeader('Cache-Control') === cacheControl) {
+      response.removeHeader('Cache-Control');
+    }
+    return writeHead.apply(response, arguments);
+  };
+}
+
+module.exports = HeaderRules;
@@ -1,36 +1,59 @@
-#!/usr/bin/env node
-/*!
- * index
- * MIT License
- *
- * This file does command line interpretation for tyranno-serve
- */
-
-'use strict'
-
-/**
- * Module dependencies.
- * @private
- */
-var TyrannoServe = require('./tyranno-serve');
-var tyrannoInput = require('./tyranno-input');
-var argvOptions = require('./argv-options.json');
-
-var settings = tyrannoInput.fromArgv(process.argv);
-if (settings.version) {
-  console.log("Version:\n" + require('./package.json').version);
-}
-else if (settings.help) {
-  for (let name in argvOptions) {
-    let option = argvOptions[name];
-
-    if (!option.disabled) {
-      console.log('\n--' + name);
-      console.log(option.description);
-    }
-  }
-}
-else {
-  var tyrannoServe = new TyrannoServe(settings);
-  tyrannoServe.listen();
-}
+#!/usr/bin/env node
+/*!
+ * index
+ * MIT License
+ *
+ * This file does command line interpretation for tyranno-serve
+ */
+
+'use strict'
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var TyrannoServe = require('./tyranno-serve');
+var tyrannoInput = require('./tyranno-input');
+var argvOptions = require('./argv-options.json');
+
+var settings = tyrannoInput.fromArgv(process.argv);
+if (settings.version) {
+  console.log("Version:\n" + require('./package.json').version);
+}
+else if (settings.help) {
+  for (let name in argvOptions) {
+    let option = argvOptions[name];
+
+    if (!option.disabled) {
+      console.log('\n--' + name);
+      console.log(option.description);
+    }
+  }
+}
+else if (settings.listRoutes) {
+  // No need for file watchers when we aren't going to serve anything
+  settings.noListen = true;
+  printRoutes(new TyrannoServe(settings).routes());
+}
+else {
+  var tyrannoServe = new TyrannoServe(settings);
+  tyrannoServe.listen();
+}
+
+// Prints routes as a table with a column for each of method, pattern, params and kind.
+function printRoutes(routes) {
+  let rows = [['METHOD', 'PATTERN', 'PARAMS', 'KIND']];
+  routes.forEach(function(route) {
+    let kind = route.kind;
+    if (route.staticPaths) {
+      kind += ' (' + route.staticPaths.join(', ') + ')';
+    }
+    rows.push([route.method, route.pattern, route.params.join(', '), kind]);
+  });
+
+  let widths = rows[0].map((heading, column) => Math.max.apply(null, rows.map((row) => row[column].length)));
+  rows.forEach(function(row) {
+    let cells = row.map((cell, column) => column < row.length - 1 ? cell + ' '.repeat(widths[column] - cell.length) : cell);
+    console.log(cells.join('  '));
+  });
+}
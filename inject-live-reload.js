@@ -0,0 +1,34 @@
+/*!
+ * inject-live-reload
+ * MIT License
+ *
+ * This file adds the live reload script to html so that browsers reload when files change.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Module constants.
+ * @private
+ */
+const INJECTED_CODE = fs.readFileSync(path.join(__dirname, "injected.html"), "utf8");
+const BODY_END_REGEX = new RegExp("</body>", "i");
+
+/**
+ * Adds the live reload script to the end of the body of the html.
+ *
+ * @param html {string} The html to inject into.
+ * @return {string} The html with the script, or unchanged if it has no closing body tag.
+ */
+function injectLiveReload(html) {
+  return html.replace(BODY_END_REGEX, INJECTED_CODE + "</body>");
+}
+
+module.exports = injectLiveReload;
@@ -0,0 +1,174 @@
+/*!
+ * markdown
+ * MIT License
+ *
+ * This file renders markdown files as html pages, with a table of contents, in a wrapper template.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var fs = require('fs');
+var marked = require('marked').marked;
+var path = require('path');
+
+var views = require('./views.js');
+var escapeHtml = views.escapeHtml;
+var unescapeHtml = views.unescapeHtml;
+var fillTemplate = views.fillTemplate;
+
+/**
+ * Module constants.
+ * @private
+ */
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown']);
+const DEFAULT_TEMPLATE = [
+  '<!DOCTYPE html>',
+  '<html>',
+  '<head><meta charset="utf-8"><title>{{ title }}</title></head>',
+  '<body>',
+  '<nav>{{{ toc }}}</nav>',
+  '<main>{{{ content }}}</main>',
+  '</body>',
+  '</html>',
+  ''
+].join('\n');
+
+/**
+ * Renders markdown files as html. The rendered markdown is kept until the file's modified time or size changes, so
+ * only the wrapper template is filled in again for each request.
+ * @internal
+ */
+class Markdown {
+  /**
+   * @param templatePath {string} Optional. The wrapper template, which is filled in like an .html view (@see Views)
+   * with title (the text of the first top level heading, or else the file name), toc (the table of contents, a list of
+   * links to the headings) and content (the rendered markdown). Use {{{ toc }}} and {{{ content }}} so they aren't
+   * escaped. Without one, a plain page is used.
+   */
+  constructor(templatePath) {
+    this.templatePath = templatePath ? path.resolve(templatePath) : null;
+    this._cache = new Map();
+  }
+
+  /**
+   * Whether the file is markdown, going by its extension.
+   *
+   * @param filePath {string} The path of the file.
+   * @return {boolean} True if it's markdown.
+   */
+  isMarkdown(filePath) {
+    return MARKDOWN_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Renders a markdown file as an html page.
+   *
+   * @param filePath {string} The path of the file.
+   * @param stats {fs.Stats} The stats of the file, which decide if the cached rendering can be used.
+   * @param callback {function} Called with an error or the html.
+   */
+  render(filePath, stats, callback) {
+    var self = this;
+    let cached = this._cache.get(filePath);
+    if (cached && cached.mtime == stats.mtime.getTime() && cached.size == stats.size) {
+      this._wrap(cached.page, callback);
+      return;
+    }
+
+    fs.readFile(filePath, 'utf8', function(err, source) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      let page;
+      try {
+        page = renderPage(source, path.basename(filePath, path.extname(filePath)));
+      }
+      catch (error) {
+        callback(error);
+        return;
+      }
+
+      self._cache.set(filePath, { mtime: stats.mtime.getTime(), size: stats.size, page: page });
+      self._wrap(page, callback);
+    });
+  }
+
+  // Fills in the wrapper template, which is read every time so changes to it show up right away.
+  _wrap(page, callback) {
+    if (!this.templatePath) {
+      callback(null, fillTemplate(DEFAULT_TEMPLATE, page));
+      return;
+    }
+
+    fs.readFile(this.templatePath, 'utf8', function(err, template) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, fillTemplate(template, page));
+    });
+  }
+}
+
+// Renders the markdown and gathers its headings (giving each a unique id) for the table of contents.
+function renderPage(source, fileName) {
+  let headings = [];
+  let ids = new Map();
+
+  let renderer = new marked.Renderer();
+  // Html in the markdown is shown as text, so a page can't run script or pull in anything it wants
+  renderer.html = (html) => escapeHtml(html);
+  // Raw loses any entities (like &amp;), so the text comes from the html instead
+  renderer.heading = function(html, depth) {
+    let text = unescapeHtml(html.replace(/<[^>]*>/g, ''));
+    let id = slug(text);
+    let count = ids.get(id) || 0;
+    ids.set(id, count + 1);
+    if (count > 0) {
+      id += '-' + count;
+    }
+
+    headings.push({ depth: depth, text: text, id: id });
+    return '<h' + depth + ' id="' + id + '">' + html + '</h' + depth + '>\n';
+  };
+
+  let content = marked(source, { renderer: renderer });
+  let title = headings.filter((heading) => heading.depth == 1).map((heading) => heading.text)[0];
+  return { title: title || fileName, toc: renderToc(headings), content: content };
+}
+
+// Nests the headings in lists by their depth.
+function renderToc(headings) {
+  let html = '';
+  let depths = [];
+
+  headings.forEach(function(heading) {
+    if (depths.length == 0 || heading.depth > depths[depths.length - 1]) {
+      html += '<ul>';
+      depths.push(heading.depth);
+    }
+    else {
+      while (depths.length > 1 && heading.depth < depths[depths.length - 1]) {
+        html += '</li></ul>';
+        depths.pop();
+      }
+      html += '</li>';
+    }
+    html += '<li><a href="#' + heading.id + '">' + escapeHtml(heading.text) + '</a>';
+  });
+
+  return html + '</li></ul>'.repeat(depths.length);
+}
+
+function slug(text) {
+  let id = text.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+  return id || 'section';
+}
+
+module.exports = Markdown;
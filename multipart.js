@@ -0,0 +1,185 @@
+/*!
+ * multipart
+ * MIT License
+ *
+ * This file streams multipart/form-data request bodies, writing uploaded files to a temporary directory.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var Busboy = require('busboy');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var statusError = require('./status-error.js');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024;
+
+/**
+ * Reads a multipart/form-data request. Each uploaded file is streamed to its own file in the upload directory. The
+ * callback gets an object of fields (repeated field names become arrays) and an array of files, each of which has
+ * fieldName, name (the file name the client sent), path, size, mimeType and encoding.
+ *
+ * @param request The incoming http request.
+ * @param options {object} May have uploadDirectory (defaults to the os temporary directory), maxFileSize in bytes
+ * (defaults to 50 megabytes), maxFiles (defaults to 10) and maxBodySize which limits each field (defaults to one
+ * megabyte).
+ * @param callback {function} Called with an error (which has a statusCode of 400, 413 or 500) or the fields and files.
+ */
+function parseMultipart(request, options, callback) {
+  let maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  let maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+  let uploadDirectory = options.uploadDirectory || os.tmpdir();
+
+  var busboy;
+  try {
+    busboy = new Busboy({
+      headers: request.headers,
+      limits: {
+        fileSize: maxFileSize,
+        files: maxFiles,
+        fieldSize: options.maxBodySize || DEFAULT_MAX_FIELD_SIZE
+      }
+    });
+  }
+  catch (error) {
+    rejectBody(request, statusError(400, "Unable to read multipart body: " + error.message), callback);
+    return;
+  }
+
+  var fields = {};
+  var files = [];
+  var uploads = [];
+  var pendingWrites = 0;
+  var busboyFinished = false;
+  var finished = false;
+
+  busboy.on('field', function(name, value, nameTruncated, valueTruncated) {
+    if (valueTruncated) {
+      fail(statusError(413, "Field '" + name + "' is too large."));
+      return;
+    }
+    addField(fields, name, value);
+  });
+
+  busboy.on('file', function(fieldName, fileStream, fileName, encoding, mimeType) {
+    if (finished) {
+      fileStream.resume();
+      return;
+    }
+
+    let file = {
+      fieldName: fieldName,
+      name: fileName,
+      path: path.join(uploadDirectory, 'tyranno-upload-' + crypto.randomBytes(16).toString('hex')),
+      size: 0,
+      mimeType: mimeType,
+      encoding: encoding
+    };
+    files.push(file);
+
+    let writeStream = fs.createWriteStream(file.path);
+    let upload = { file: file, writeStream: writeStream, closed: false };
+    uploads.push(upload);
+    pendingWrites++;
+
+    fileStream.on('data', (chunk) => file.size += chunk.length);
+    fileStream.on('limit', () => fail(statusError(413, "File '" + fileName + "' is larger than " + maxFileSize + " bytes.")));
+    writeStream.on('error', (error) => fail(statusError(500, "Unable to write upload: " + error.message)));
+    writeStream.on('finish', function() {
+      pendingWrites--;
+      succeedIfDone();
+    });
+    writeStream.on('close', () => upload.closed = true);
+
+    fileStream.pipe(writeStream);
+  });
+
+  busboy.on('filesLimit', () => fail(statusError(413, "More than " + maxFiles + " files were uploaded.")));
+  busboy.on('error', (error) => fail(statusError(400, "Unable to read multipart body: " + error.message)));
+  busboy.on('finish', function() {
+    busboyFinished = true;
+    succeedIfDone();
+  });
+
+  request.pipe(busboy);
+
+  function succeedIfDone() {
+    if (finished || !busboyFinished || pendingWrites > 0) {
+      return;
+    }
+    finished = true;
+    callback(null, fields, files);
+  }
+
+  function fail(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    request.unpipe(busboy);
+
+    // Files can only be removed once they are closed, otherwise they might get created again after we delete them
+    uploads.forEach(function(upload) {
+      if (upload.closed) {
+        removeUploads([upload.file]);
+      }
+      else {
+        upload.writeStream.on('close', () => removeUploads([upload.file]));
+        upload.writeStream.destroy();
+      }
+    });
+
+    rejectBody(request, err, callback);
+  }
+}
+
+/**
+ * Deletes the temporary files of the given uploads.
+ *
+ * @param files {[object]} Files as given by parseMultipart.
+ */
+function removeUploads(files) {
+  _.each(files, function(file) {
+    fs.unlink(file.path, function(err) {
+      if (err && err.code != 'ENOENT') {
+        console.error("Error removing upload '" + file.path + "'.");
+        console.error(err);
+      }
+    });
+  });
+}
+
+// body-parser requires this module, so it can only be required once both are loaded
+function rejectBody(request, err, callback) {
+  require('./body-parser.js').rejectBody(request, err, callback);
+}
+
+function addField(fields, name, value) {
+  if (!_.has(fields, name)) {
+    fields[name] = value;
+  }
+  else if (_.isArray(fields[name])) {
+    fields[name].push(value);
+  }
+  else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+module.exports = parseMultipart;
+module.exports.removeUploads = removeUploads;
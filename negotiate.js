@@ -0,0 +1,153 @@
+/*!
+ * negotiate
+ * MIT License
+ *
+ * This file picks which of the types (and content codings) a server can send is best for a request's Accept (and
+ * Accept-Encoding) header.
+ */
+
+'use strict';
+
+/**
+ * Finds the type the client prefers out of the ones offered. Each offered type is scored by the most specific range
+ * of the Accept header it matches (type/subtype beats type/* which beats the wildcard for everything), and the type
+ * with the highest q value wins. Ties go to whichever type was offered first. A missing Accept header accepts
+ * everything.
+ *
+ * @param acceptHeader {string} The Accept header of the request, if there is one.
+ * @param types {[string]} The mime types that can be sent, in order of preference.
+ * @return {string} The best type, or null if none of them are acceptable.
+ */
+function preferredType(acceptHeader, types) {
+  let ranges = parseAccept(acceptHeader || '*/*');
+
+  let best = null;
+  let bestQuality = 0;
+  types.forEach(function(type) {
+    let quality = getQuality(ranges, type);
+    if (quality > bestQuality) {
+      best = type;
+      bestQuality = quality;
+    }
+  });
+
+  return best;
+}
+
+// Splits an Accept header into ranges, each with type, subtype and q.
+function parseAccept(acceptHeader) {
+  let ranges = [];
+  acceptHeader.split(',').forEach(function(part) {
+    let params = part.split(';');
+    let mediaRange = params.shift().trim().toLowerCase().split('/');
+    if (mediaRange.length != 2) {
+      return;
+    }
+
+    let q = 1;
+    params.forEach(function(param) {
+      let pair = param.split('=');
+      if (pair[0].trim() == 'q') {
+        q = parseFloat(pair[1]);
+      }
+    });
+
+    ranges.push({ type: mediaRange[0].trim(), subtype: mediaRange[1].trim(), q: isNaN(q) ? 0 : q });
+  });
+  return ranges;
+}
+
+// Gets the q value of the most specific range that matches the type, or 0 if none do.
+function getQuality(ranges, type) {
+  let pieces = type.toLowerCase().split('/');
+
+  let bestSpecificity = -1;
+  let quality = 0;
+  ranges.forEach(function(range) {
+    let specificity = -1;
+    if (range.type == pieces[0] && range.subtype == pieces[1]) {
+      specificity = 2;
+    }
+    else if (range.type == pieces[0] && range.subtype == '*') {
+      specificity = 1;
+    }
+    else if (range.type == '*' && range.subtype == '*') {
+      specificity = 0;
+    }
+
+    if (specificity > bestSpecificity) {
+      bestSpecificity = specificity;
+      quality = range.q;
+    }
+  });
+
+  return quality;
+}
+
+/**
+ * Finds the content coding the client prefers out of the ones offered, using the q values of an Accept-Encoding
+ * header. A coding the header doesn't mention gets the q value of its wildcard, if there is one. Ties go to whichever
+ * coding was offered first.
+ *
+ * @param acceptEncodingHeader {string} The Accept-Encoding header of the request, if there is one.
+ * @param encodings {[string]} The codings that can be used, in order of preference.
+ * @return {string} The best coding, or null if none of them are acceptable (or there was no header).
+ */
+function preferredEncoding(acceptEncodingHeader, encodings) {
+  if (!acceptEncodingHeader) {
+    return null;
+  }
+
+  let qualities = {};
+  acceptEncodingHeader.split(',').forEach(function(part) {
+    let params = part.split(';');
+    let coding = params.shift().trim().toLowerCase();
+    if (!coding) {
+      return;
+    }
+
+    let q = 1;
+    params.forEach(function(param) {
+      let pair = param.split('=');
+      if (pair[0].trim() == 'q') {
+        q = parseFloat(pair[1]);
+      }
+    });
+    qualities[coding] = isNaN(q) ? 0 : q;
+  });
+
+  let best = null;
+  let bestQuality = 0;
+  encodings.forEach(function(encoding) {
+    let quality = encoding in qualities ? qualities[encoding] : (qualities['*'] || 0);
+    if (quality > bestQuality) {
+      best = encoding;
+      bestQuality = quality;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Adds a field to the Vary header of a response, keeping whatever fields are already there.
+ *
+ * @param response The response to add to.
+ * @param field {string} The name of the request header the response depends on.
+ */
+function vary(response, field) {
+  let existing = response.getHeader('Vary');
+  if (!existing) {
+    response.setHeader('Vary', field);
+    return;
+  }
+
+  let fields = String(existing).split(',').map((f) => f.trim().toLowerCase());
+  if (fields.indexOf('*') == -1 && fields.indexOf(field.toLowerCase()) == -1) {
+    response.setHeader('Vary', existing + ', ' + field);
+  }
+}
+
+module.exports.preferredType = preferredType;
+module.exports.preferredEncoding = preferredEncoding;
+module.exports.vary = vary;
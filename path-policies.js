@@ -0,0 +1,133 @@
+/*!
+ * path-policies
+ * MIT License
+ *
+ * This file checks the paths of static files against the dotfile and symlink policies and keeps them in their root.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DOTFILE_POLICIES = new Set(['allow', 'deny', 'ignore']);
+const SYMLINK_POLICIES = new Set(['follow', 'deny', 'follow-within-root']);
+const DEFAULT_DOTFILES = 'ignore';
+const DEFAULT_SYMLINKS = 'follow';
+
+/**
+ * Checks the dotfiles and symlinks settings, throwing if either isn't one of its policies.
+ *
+ * @param settings {object} The settings of the server.
+ */
+function checkPolicies(settings) {
+  if (settings.dotfiles != null && !DOTFILE_POLICIES.has(settings.dotfiles)) {
+    throw new Error("Dotfiles must be one of: " + Array.from(DOTFILE_POLICIES).join(', ') + ".");
+  }
+  if (settings.symlinks != null && !SYMLINK_POLICIES.has(settings.symlinks)) {
+    throw new Error("Symlinks must be one of: " + Array.from(SYMLINK_POLICIES).join(', ') + ".");
+  }
+}
+
+/**
+ * Gets the dotfiles policy, which says what happens to files and folders whose names start with a dot:
+ *   * allow: They are served like any other file.
+ *   * deny: They get a 403 forbidden.
+ *   * ignore: They get a 404 not found, as if they weren't there. This is the default.
+ *
+ * @param settings {object} The settings of the server.
+ * @return {string} The policy.
+ */
+function getDotfilesPolicy(settings) {
+  return settings.dotfiles || DEFAULT_DOTFILES;
+}
+
+/**
+ * Gets the symlinks policy, which says what happens to paths that go through a symbolic link:
+ *   * follow: They are followed wherever they go. This is the default.
+ *   * deny: They get a 403 forbidden.
+ *   * follow-within-root: They are followed if they end up inside the static path they were found in, otherwise they
+ *     get a 403 forbidden.
+ *
+ * @param settings {object} The settings of the server.
+ * @return {string} The policy.
+ */
+function getSymlinksPolicy(settings) {
+  return settings.symlinks || DEFAULT_SYMLINKS;
+}
+
+/**
+ * Whether a path is the root or somewhere under it.
+ *
+ * @param root {string} The resolved root.
+ * @param filePath {string} The resolved path to check.
+ * @return {boolean} True if the path is inside the root.
+ */
+function isInsideRoot(root, filePath) {
+  let relative = path.relative(root, filePath);
+  return relative === '' || (relative != '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+/**
+ * Whether any folder or file along a relative path starts with a dot. Parent folders (..) don't count, since keeping
+ * paths inside the root is up to isInsideRoot.
+ *
+ * @param relativePath {string} The path relative to the static path.
+ * @return {boolean} True if the path has a dotfile in it.
+ */
+function hasDotfile(relativePath) {
+  return relativePath.split(/[\\\/]/).some((piece) => piece[0] == '.' && piece != '.' && piece != '..');
+}
+
+/**
+ * Checks the symlinks policy for a file that exists under a static path.
+ *
+ * @param root {string} The resolved static path.
+ * @param filePath {string} The resolved path of the file.
+ * @param policy {string} The symlinks policy.
+ * @param callback {function} Called with an error or whether the file may be served.
+ */
+function checkSymlinks(root, filePath, policy, callback) {
+  if (policy == 'follow') {
+    callback(null, true);
+    return;
+  }
+
+  fs.realpath(root, function(err, realRoot) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    fs.realpath(filePath, function(err, realPath) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      // If nothing on the way is a link, the real path is just the path under the real root
+      let linked = realPath != path.join(realRoot, path.relative(root, filePath));
+      if (!linked) {
+        callback(null, true);
+      }
+      else {
+        callback(null, policy == 'follow-within-root' && isInsideRoot(realRoot, realPath));
+      }
+    });
+  });
+}
+
+module.exports.checkPolicies = checkPolicies;
+module.exports.getDotfilesPolicy = getDotfilesPolicy;
+module.exports.getSymlinksPolicy = getSymlinksPolicy;
+module.exports.isInsideRoot = isInsideRoot;
+module.exports.hasDotfile = hasDotfile;
+module.exports.checkSymlinks = checkSymlinks;
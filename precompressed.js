@@ -0,0 +1,91 @@
+/*!
+ * precompressed
+ * MIT License
+ *
+ * This file finds precompressed (.br and .gz) copies of static files so they can be sent instead of the original.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var fs = require('fs');
+var mime = require('send').mime;
+
+var negotiate = require('./negotiate.js');
+
+/**
+ * Module constants.
+ * @private
+ */
+const SIBLINGS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+];
+
+/**
+ * Looks for a precompressed sibling of the file (app.js.br or app.js.gz for app.js) that the request accepts. If there
+ * is one, the response gets the original file's Content-Type and the sibling's Content-Encoding. The Vary header always
+ * gets Accept-Encoding since whether a sibling is used depends on it.
+ *
+ * @param request The incoming http request.
+ * @param response The response the file will be sent on.
+ * @param filePath {string} The path of the original file.
+ * @param isAllowed {function} Called with the path of each sibling and a callback that takes whether it may be sent,
+ * so siblings are held to the same policies as the original. Siblings that aren't allowed are skipped.
+ * @param callback {function} Called with the path of the file to send, which is the original if there's no sibling.
+ */
+function usePrecompressed(request, response, filePath, isAllowed, callback) {
+  negotiate.vary(response, 'Accept-Encoding');
+
+  let acceptEncoding = request.headers['accept-encoding'];
+  if (!acceptEncoding) {
+    callback(filePath);
+    return;
+  }
+
+  let available = [];
+  let done = _.after(SIBLINGS.length, function() {
+    // Keep the order of preference no matter which stat finished first
+    let siblings = _.sortBy(available, (sibling) => SIBLINGS.indexOf(sibling));
+    let encoding = negotiate.preferredEncoding(acceptEncoding, _.pluck(siblings, 'encoding'));
+    if (!encoding) {
+      callback(filePath);
+      return;
+    }
+
+    let sibling = _.findWhere(siblings, { encoding: encoding });
+    response.setHeader('Content-Type', getContentType(filePath));
+    response.setHeader('Content-Encoding', encoding);
+    callback(filePath + sibling.extension);
+  });
+
+  SIBLINGS.forEach(function(sibling) {
+    let siblingPath = filePath + sibling.extension;
+    fs.stat(siblingPath, function(err, stats) {
+      if (err || !stats.isFile()) {
+        done();
+        return;
+      }
+
+      isAllowed(siblingPath, function(allowed) {
+        if (allowed) {
+          available.push(sibling);
+        }
+        done();
+      });
+    });
+  });
+}
+
+// Gets the Content-Type the same way send does, so a precompressed file is typed like the original.
+function getContentType(filePath) {
+  let type = mime.lookup(filePath);
+  let charset = mime.charsets.lookup(type);
+  return type + (charset ? '; charset=' + charset : '');
+}
+
+module.exports = usePrecompressed;
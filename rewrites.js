@@ -0,0 +1,225 @@
+/*!
+ * rewrites
+ * MIT License
+ *
+ * This file provides the rewrite and redirect rules from the settings, which are applied before routing.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var url = require('url');
+
+var Router = require('./router.js');
+var normalizePath = Router.normalizePath;
+var parseVariable = Router.parseVariable;
+var METHODS = Router.METHODS;
+
+/**
+ * Module constants.
+ * @private
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const DEFAULT_REDIRECT_STATUS = 301;
+const PLACEHOLDER_REGEX = /(::?)([\w.-]+)/g;
+
+/**
+ * The redirects and rewrites from the settings. Each rule has:
+ *   * from: The path to match, in the same syntax as routes (@see Router.addRoute), like '/blog/:year<int>/::slug'.
+ *   * to: Where to send the request. Route variables from the pattern are filled in, like '/posts/:year/::slug'. The
+ *     query string of the request is kept. Redirects may go to another site, like 'https://example.com/::rest'.
+ *   * status: Redirects only. The status to redirect with: 301 (the default), 302, 303, 307 or 308.
+ *   * method: Optional. The method or array of methods the rule applies to. GET includes HEAD.
+ *   * headers: Optional. An object of header names to the values the request must have for the rule to apply.
+ * Redirects are tried first, then rewrites, each in order until one matches. A rewrite only changes request.url (the
+ * original is kept in request.originalUrl), so the new url goes through routing as usual but not through the rules
+ * again.
+ * @internal
+ */
+class Rewrites {
+  /**
+   * @param redirects {[object]} Optional. The redirect rules.
+   * @param rewrites {[object]} Optional. The rewrite rules.
+   */
+  constructor(redirects, rewrites) {
+    this._redirects = compileRules(redirects || [], 'Redirect');
+    this._rewrites = compileRules(rewrites || [], 'Rewrite');
+  }
+
+  /**
+   * Applies the first redirect or rewrite that matches the request.
+   *
+   * @param request The incoming http request. Its url is changed by a rewrite.
+   * @param response The augmented response, which is redirected by a redirect.
+   * @return {boolean} True if the request was redirected, and so is done.
+   */
+  apply(request, response) {
+    if (this._redirects.length == 0 && this._rewrites.length == 0) {
+      return false;
+    }
+
+    let parsedUrl = url.parse(request.url);
+    let pieces = normalizePath(parsedUrl.pathname || '').split('/');
+
+    let redirect = findRule(this._redirects, request, pieces);
+    if (redirect) {
+      response.redirect(fillIn(redirect.rule.to, redirect.params, parsedUrl.search), redirect.rule.status);
+      return true;
+    }
+
+    let rewrite = findRule(this._rewrites, request, pieces);
+    if (rewrite) {
+      request.originalUrl = request.url;
+      request.url = fillIn(rewrite.rule.to, rewrite.params, parsedUrl.search);
+    }
+    return false;
+  }
+}
+
+// Checks the rules from the settings and parses their patterns.
+function compileRules(rules, kind) {
+  if (!_.isArray(rules)) {
+    throw new Error(kind + "s must be an array.");
+  }
+
+  return rules.map(function(rule, index) {
+    let name = kind + " " + (index + 1);
+    if (!_.isPlainObject(rule) || !_.isString(rule.from) || !_.isString(rule.to) || !rule.to) {
+      throw new Error(name + " must have from and to.");
+    }
+    if (kind == 'Rewrite' && !rule.to.startsWith('/')) {
+      throw new Error(name + " must rewrite to a path starting with /.");
+    }
+    if (kind == 'Rewrite' && rule.status != null) {
+      throw new Error(name + " can't have a status, only redirects do.");
+    }
+
+    let status = rule.status == null ? DEFAULT_REDIRECT_STATUS : parseInt(rule.status, 10);
+    if (!REDIRECT_STATUSES.has(status)) {
+      throw new Error(name + " has an invalid status. Must be one of: " + Array.from(REDIRECT_STATUSES).join(', ') + ".");
+    }
+
+    let methods = null;
+    if (rule.method != null) {
+      methods = [].concat(rule.method).map((method) => String(method).toUpperCase());
+      if (!_.every(methods, (method) => METHODS.has(method))) {
+        throw new Error(name + " has an invalid method. Must be: " + Array.from(METHODS).join(', ') + ".");
+      }
+      if (_.includes(methods, 'GET')) {
+        methods.push('HEAD');
+      }
+    }
+
+    if (rule.headers != null && (!_.isPlainObject(rule.headers) || !_.every(rule.headers, _.isString))) {
+      throw new Error(name + " must have an object of header names to strings for headers.");
+    }
+
+    return {
+      from: parsePattern(rule.from, name),
+      to: rule.to,
+      status: status,
+      methods: methods,
+      headers: _.mapKeys(rule.headers || {}, (value, header) => header.toLowerCase())
+    };
+  });
+}
+
+// Splits a pattern into its pieces, each a constant or a route variable.
+function parsePattern(pattern, name) {
+  let pieces = normalizePath(pattern).split('/');
+  return pieces.map(function(piece, index) {
+    if (!piece.startsWith(':')) {
+      return { constant: piece };
+    }
+
+    let splat = piece.startsWith('::');
+    if (splat && index != pieces.length - 1) {
+      throw new Error(name + " has a double colon variable that isn't last.");
+    }
+    return { variable: parseVariable(piece), splat: splat };
+  });
+}
+
+// Finds the first rule that matches the request, along with the route variables it matched.
+function findRule(rules, request, pieces) {
+  let method = request.method;
+  for (let i = 0; i < rules.length; i++) {
+    let rule = rules[i];
+    if (rule.methods && !_.includes(rule.methods, method)) {
+      continue;
+    }
+    if (!_.every(rule.headers, (value, header) => request.headers[header] === value)) {
+      continue;
+    }
+
+    let params = matchPattern(rule.from, pieces);
+    if (params) {
+      return { rule: rule, params: params };
+    }
+  }
+  return null;
+}
+
+// Matches the pieces of the request's path against a pattern, giving the route variables or null if it doesn't match.
+function matchPattern(patternPieces, pieces) {
+  let params = {};
+
+  try {
+    for (let i = 0; i < patternPieces.length; i++) {
+      let patternPiece = patternPieces[i];
+      if (patternPiece.splat) {
+        params[patternPiece.variable.name] = decodeURIComponent(pieces.slice(i).join('/'));
+        return params;
+      }
+      if (i >= pieces.length) {
+        return null;
+      }
+
+      if (patternPiece.variable) {
+        let value = decodeURIComponent(pieces[i]);
+        if (!value || (patternPiece.variable.regex && !patternPiece.variable.regex.test(value))) {
+          return null;
+        }
+        params[patternPiece.variable.name] = value;
+      }
+      else if (patternPiece.constant != pieces[i]) {
+        return null;
+      }
+    }
+  }
+  catch (error) {
+    if (!(error instanceof URIError)) {
+      throw error;
+    }
+    // A badly encoded path is left for routing to turn into a bad request
+    return null;
+  }
+
+  return pieces.length == patternPieces.length ? params : null;
+}
+
+// Fills the route variables into the destination and adds the query string of the request.
+function fillIn(destination, params, search) {
+  let filled = destination.replace(PLACEHOLDER_REGEX, function(placeholder, colons, name) {
+    if (!_.has(params, name)) {
+      return placeholder;
+    }
+    let value = params[name];
+    return colons == '::' ? value.split('/').map(encodeURIComponent).join('/') : encodeURIComponent(value);
+  });
+  // Leading slashes are collapsed so that a path like /::rest can't be filled in as //example.com, another site
+  if (destination[0] == '/') {
+    filled = filled.replace(/^\/+/, '/');
+  }
+
+  if (search) {
+    filled += (filled.indexOf('?') == -1 ? '?' : '&') + search.substring(1);
+  }
+  return filled;
+}
+
+module.exports = Rewrites;
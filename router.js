@@ -0,0 +1,572 @@
+/*!
+ * router
+ * MIT License
+ *
+ * This file provides the router class which holds a tree of rest routes and middleware. Routers can be mounted under
+ * a path of the server (or of another router) so a group of routes can be written without knowing its full prefix.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Module constants.
+ * @private
+ */
+const METHODS = new Set(["GET", "HEAD", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"]);
+const VARIABLE_REGEX = /^(::?)([\w.-]+)(?:<(\w+)>|\((.+)\))?$/;
+const PARAM_TYPES = {
+  int: { regex: /^-?\d+$/, convert: (value) => parseInt(value, 10) },
+  number: { regex: /^-?\d+(\.\d+)?$/, convert: (value) => parseFloat(value) },
+  boolean: { regex: /^(true|false)$/, convert: (value) => value == 'true' },
+  uuid: { regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, convert: (value) => value }
+};
+
+/**
+ * A group of rest routes and middleware. The server has a router of its own, and more can be mounted under it with
+ * TyrannoServe.mount (or under each other with Router.mount).
+ * @public
+ */
+class Router {
+  /**
+   * Constructs an empty router.
+   */
+  constructor() {
+    this._routes = {};
+    this._middleware = [];
+    this._notFoundDefault = null;
+  }
+
+  /**
+   * Adds a middleware function that is run before the callback of every matching route in this router. Middleware is
+   * run in the order it was added.
+   *
+   * @param pathname {string} Optional. When specified, the middleware only runs for requests at or under this path
+   * (relative to wherever the router is mounted). For example, 'api' matches '/api' and '/api/users' but not
+   * '/apiary'. The request path is decoded and has its extra slashes collapsed first, so '/%61pi' and '//api' match too.
+   * @param middleware {function} A function that takes a request, a response and a next function. Call next() to
+   * continue on to the next middleware (and finally the route itself), or send a response instead to stop there.
+   * Calling next with an error sends an internal server error.
+   */
+  use(pathname, middleware) {
+    if (arguments.length < 2) {
+      middleware = pathname;
+      pathname = '';
+    }
+    if (!_.isString(pathname)) {
+      throw new Error("Path must be a string");
+    }
+    if (!_.isFunction(middleware)) {
+      throw new Error("Middleware must be a function.");
+    }
+
+    this._middleware.push({ pathname: normalizePath(pathname), middleware: middleware });
+  }
+
+  /**
+   * Adds a route to the given method and path.
+   *
+   * @param method {string} The method. Should be GET, HEAD, PUT, POST, DELETE, PATCH or OPTIONS. You usually don't
+   * need HEAD or OPTIONS: HEAD requests are answered by the GET route without a body and OPTIONS requests get the list
+   * of allowed methods. If a path has routes but none for the requested method a 405 method not allowed is sent.
+   *
+   * @param pathname {string} The path. In general, a path should be a series of strings with slashes between, but
+   * tyranno-serve also allows you to specify route variables by starting a folder with a colon. For example,
+   * /users/:userId/products/:productId would allow any string to be specified for the userId and productId. In
+   * addition, if you specify a path with two colons, it will consume all characters after including slashes (this
+   * is how the static file server works.).
+   * In general, multiple url definitions may conflict, (for example '/users/:userId' for getting user info but then
+   * '/users/:userId/products/:productId' for getting a user's product). Tyranno-Serve will try to find the most
+   * specific possible match for a particular url by matching folders. For example, if the user and product paths were
+   * specified and nothing else, if you looked for '/users/abc/products' it would come out with not found. This is
+   * because there was something specified under products but it required an id, and nothing was specified under
+   * just products. '/users/abc' and 'users/abc/products/def' would work as expected however.
+   * At each folder constants are tried first, then single colon variables in the order they were added, then double
+   * colon variables. If a more specific choice doesn't lead to a full match the next choice is tried, so
+   * '/users/me/settings' and '/users/:userId/products/:productId' can live side by side and different variable names
+   * can be used at the same location (like '/items/:itemId' and '/items/:category/:page').
+   * Single colon variables can be constrained so they only match some values. Either give a regular expression in
+   * parentheses, like '/users/:userId(\\d+)', or a type in angle brackets, like '/users/:userId<int>'. Types are int,
+   * number, boolean and uuid, and the route parameter is converted to that type (so userId would be a number). The
+   * expression must match the whole (decoded) folder and can't contain slashes. Constrained variables are tried before
+   * unconstrained ones.
+   *
+   * @param middleware {[function]} Optional. An array of middleware functions to run for this route only, after any
+   * middleware added with use(). @see use.
+   *
+   * @param callback A callback function that takes a request and a response object. The request and response object
+   * are the same that would be received from the http.Server.listen command with some additions:
+   *   * The request object will have a routeParams variable added with the route parameters defined in the url.
+   *   * The request object will have a query variable added with the parsed query string. Keys that are repeated
+   *     have an array of values.
+   *   * The response object will have extra methods ok, notFound, badRequest, internalServerError, and redirect. Please
+   *     see the response augmenter for information about these.
+   */
+  addRoute(method, pathname, middleware, callback) {
+    if (arguments.length < 4) {
+      callback = middleware;
+      middleware = [];
+    }
+    this._addRoute(method, pathname, middleware, callback, { kind: 'rest' });
+  }
+
+  // Adds a route along with details about where it came from, which are reported by routes().
+  _addRoute(method, pathname, middleware, callback, details) {
+    if (!_.isString(method) || !METHODS.has(method)) {
+      throw new Error("Method must be a string and one of these values: " + Array.from(METHODS).join(', ') + ".");
+    }
+    if (!_.isString(pathname)) {
+      throw new Error("Path must be a string");
+    }
+    if (!_.isFunction(callback)) {
+      throw new Error("Must provide a valid callback.");
+    }
+    if (!_.isArray(middleware) || !_.every(middleware, _.isFunction)) {
+      throw new Error("Middleware must be an array of functions.");
+    }
+
+    pathname = normalizePath(pathname);
+
+    method = method.toUpperCase();
+    if (!METHODS.has(method)) {
+      throw new Error("Invalid method supplied.");
+    }
+
+    var current = this._getNode(getPieces(pathname), pathname);
+
+    // ^ is an illegal character for uris, so by using this we force a unique, untaken
+    // string (i.e. what if the user picks /callback/ as their route?)
+    if (current['^methods'] == null) {
+      current['^methods'] = {};
+    }
+    current['^methods'][method] = { callback: callback, middleware: middleware, details: details };
+  }
+
+  /**
+   * Mounts another router under the given path. The mounted router's routes and middleware paths are relative to this
+   * path, so a router with a 'users/:userId' route mounted at 'api/v1.0' answers '/api/v1.0/users/abc'. Routers
+   * can be nested and changes made to a router after it is mounted still count. Mounted routers are tried before the
+   * routes added directly at the same path.
+   *
+   * @param pathname {string} The path to mount the router at. May contain single colon variables.
+   * @param router {Router} The router to mount.
+   */
+  mount(pathname, router) {
+    if (!_.isString(pathname)) {
+      throw new Error("Path must be a string");
+    }
+    if (!(router instanceof Router)) {
+      throw new Error("Can only mount a Router.");
+    }
+
+    pathname = normalizePath(pathname);
+    let pieces = pathname === '' ? [] : getPieces(pathname);
+    if (_.some(pieces, isDoubleColonVariable)) {
+      throw new Error("Routers cannot be mounted under double colon variables.");
+    }
+
+    var current = this._getNode(pieces, pathname);
+
+    if (current['^routers'] == null) {
+      current['^routers'] = [];
+    }
+    current['^routers'].push(router);
+  }
+
+  /**
+   * Sets the not found default for this router. When a request is under the path this router is mounted at and none
+   * of its routes match, this is sent instead of trying the routes that are less specific than the mount path (such as
+   * the static paths). It is also what response.notFound().doDefault() does in this router's routes.
+   *
+   * @param input {string|function} Either a string or a function. If it's a callback it is used directly and is given
+   * the response. If it's a string it is treated as a filename which must be absolute or relative to the CWD.
+   */
+  notFoundDefault(input) {
+    this._notFoundDefault = getDefaultCallback('notFound', input);
+  }
+
+  /**
+   * Lists the routes of this router and the routers mounted under it, in the order they are tried when matching.
+   *
+   * @return {[object]} The routes. Each has method, pattern (the full path, like '/users/:userId<int>'), params (the
+   * names of the route variables) and kind, which is 'rest' for routes added with addRoute and 'static' for the static
+   * paths. Static routes also have staticPaths, the directories they serve from in fallback order.
+   */
+  routes() {
+    let routes = [];
+    listRoutes(this._routes, [], [], routes);
+    return routes;
+  }
+
+  /**
+   * Finds the route for a request.
+   * @internal
+   *
+   * @param pathname {string} The normalized path of the request.
+   * @param method {string} The method of the request.
+   * @return {object} The match. It has methods (the routes at the matched location keyed by method, or null if no
+   * location matched), route (the route for the method, or null), allowedMethods (for the Allow header), routeParams,
+   * middleware (every middleware function to run, including the route's) and notFoundDefault (the not found default of
+   * the innermost router that has one, or null). Throws a URIError if the path is not encoded correctly.
+   */
+  match(pathname, method) {
+    let pieces = getPieces(pathname);
+    let root = [{ router: this, index: 0 }];
+
+    // The first full match of the path is used for 405s and OPTIONS if no match has a route for the method.
+    var pathMatch = null;
+    var methodMatch = null;
+    var claimedMatch = null;
+
+    findRoutes(this._routes, pieces, 0, {}, root, function(match) {
+      if (match.claimed) {
+        claimedMatch = match;
+        return true;
+      }
+      if (!pathMatch) {
+        pathMatch = match;
+      }
+      if (getRoute(match.methods, method)) {
+        methodMatch = match;
+        return true;
+      }
+      return false;
+    });
+
+    let match = methodMatch || pathMatch || claimedMatch || { methods: null, routeParams: {}, routers: root };
+    let route = getRoute(match.methods, method);
+
+    let middleware = [];
+    match.routers.forEach(function(mounted) {
+      let relativePath = getMiddlewarePath(pieces.slice(mounted.index));
+      let routerMiddleware = _.filter(mounted.router._middleware, (m) => isUnderPath(relativePath, m.pathname));
+      middleware = middleware.concat(_.pluck(routerMiddleware, 'middleware'));
+    });
+    if (route) {
+      middleware = middleware.concat(route.middleware);
+    }
+
+    let notFoundRouter = _.findLast(match.routers, (mounted) => mounted.router._notFoundDefault);
+
+    return {
+      methods: match.methods,
+      route: route,
+      allowedMethods: match.methods ? getAllowedMethods(match.methods) : null,
+      routeParams: match.routeParams,
+      middleware: middleware,
+      notFoundDefault: notFoundRouter ? notFoundRouter.router._notFoundDefault : null
+    };
+  }
+
+  // Gets the node of the route tree for the given pieces, creating it if it doesn't exist yet.
+  _getNode(pieces, pathname) {
+    var current = this._routes;
+    var hasDoubleColon = false;
+
+    pieces.forEach(function(piece) {
+      if (hasDoubleColon) {
+        throw new Error("Double colon variables must be final.");
+      }
+      if (piece.startsWith('::')) {
+        hasDoubleColon = true;
+      }
+
+      let variable = null;
+      if (isRouteVariable(piece)) {
+        variable = parseVariable(piece);
+      }
+      else if (encodeURIComponent(piece) != piece) {
+        throw new Error("The pathname contains illegal characters: '" + pathname + "'.");
+      }
+
+      if (current[piece] == null) {
+        current[piece] = {};
+        if (variable) {
+          current[piece]['^variable'] = variable;
+        }
+      }
+      current = current[piece];
+    });
+
+    return current;
+  }
+}
+
+// Utility methods
+// @private
+
+function isRouteVariable(str) {
+  return str.length > 0 && str[0] == ':';
+}
+
+function isDoubleColonVariable(str) {
+  return str.startsWith('::');
+}
+
+/**
+ * Parses a route variable folder like ':userId', ':userId(\\d+)', ':userId<int>' or '::filePath'.
+ *
+ * @param {string} piece The folder from the route.
+ * @return {object} The variable's name, whether it is constrained, the regex its value must match (if any) and a
+ * function to convert its value (if any).
+ */
+function parseVariable(piece) {
+  let match = VARIABLE_REGEX.exec(piece);
+  if (!match) {
+    throw new Error("Invalid route variable: '" + piece + "'.");
+  }
+
+  let variable = { name: match[2], constrained: false, regex: null, convert: null };
+  let type = match[3];
+  let expression = match[4];
+
+  if (type || expression) {
+    if (match[1] == '::') {
+      throw new Error("Double colon variables cannot be constrained: '" + piece + "'.");
+    }
+    variable.constrained = true;
+  }
+
+  if (type) {
+    if (!_.has(PARAM_TYPES, type)) {
+      throw new Error("Unknown route variable type '" + type + "'. Must be one of: " + _.keys(PARAM_TYPES).join(', ') + ".");
+    }
+    variable.regex = PARAM_TYPES[type].regex;
+    variable.convert = PARAM_TYPES[type].convert;
+  }
+  else if (expression) {
+    variable.regex = new RegExp('^(?:' + expression + ')$');
+  }
+
+  return variable;
+}
+
+/**
+ * Walks the route tree looking for locations that fully match the path pieces, most specific first: mounted routers,
+ * then constants, then single colon variables in the order they were added, then double colon variables (which take
+ * the rest of the path). Backtracks whenever a choice doesn't work out.
+ *
+ * @param {object} node The location in the route tree to start from.
+ * @param {[string]} pieces The raw (still encoded) pieces of the path.
+ * @param {number} index The index of the piece to match against the node's children.
+ * @param {object} routeParams The route parameters gathered on the way to this node.
+ * @param {[object]} routers The routers the node is in, outermost first, each with the index of the piece where the
+ * router's own paths begin.
+ * @param {function} visit Called with each full match, which has methods (the routes keyed by method), routeParams and
+ * routers. When a mounted router with a not found default has no match, visit is called with a match that is claimed
+ * (and has no methods). Return true to stop looking.
+ * @return {boolean} True if visit stopped the search.
+ */
+function findRoutes(node, pieces, index, routeParams, routers, visit) {
+  let mounted = _.some(node['^routers'], function(router) {
+    let innerRouters = routers.concat([{ router: router, index: index }]);
+    // The router's own root is the empty path, just like the server's
+    let innerPieces = index < pieces.length ? pieces : pieces.concat(['']);
+
+    if (findRoutes(router._routes, innerPieces, index, routeParams, innerRouters, visit)) {
+      return true;
+    }
+    if (router._notFoundDefault) {
+      return visit({ methods: null, routeParams: routeParams, routers: innerRouters, claimed: true });
+    }
+    return false;
+  });
+  if (mounted) {
+    return true;
+  }
+
+  if (index == pieces.length && node['^methods']) {
+    if (visit({ methods: node['^methods'], routeParams: routeParams, routers: routers })) {
+      return true;
+    }
+  }
+
+  let keys = _.keys(node);
+
+  if (index < pieces.length) {
+    let piece = pieces[index];
+
+    // Pieces starting with : or ^ in the request can't be constants, they would collide with our own keys
+    if (!isRouteVariable(piece) && piece[0] != '^' && _.has(node, piece)) {
+      if (findRoutes(node[piece], pieces, index + 1, routeParams, routers, visit)) {
+        return true;
+      }
+    }
+
+    let variables = keys.filter((key) => isRouteVariable(key) && !isDoubleColonVariable(key));
+    // Constrained variables are more specific, so they go first. sortBy keeps the order they were added otherwise.
+    variables = _.sortBy(variables, (key) => node[key]['^variable'].constrained ? 0 : 1);
+
+    if (variables.length > 0) {
+      let value = decodeURIComponent(piece);
+      let found = _.some(variables, function(key) {
+        let child = node[key];
+        let variable = child['^variable'];
+        if (variable.regex && !variable.regex.test(value)) {
+          return false;
+        }
+
+        let params = _.extend({}, routeParams);
+        params[variable.name] = variable.convert ? variable.convert(value) : value;
+        return findRoutes(child, pieces, index + 1, params, routers, visit);
+      });
+      if (found) {
+        return true;
+      }
+    }
+  }
+
+  return _.some(keys.filter(isDoubleColonVariable), function(variable) {
+    let child = node[variable];
+    if (!child['^methods']) {
+      return false;
+    }
+
+    let params = _.extend({}, routeParams);
+    params[child['^variable'].name] = decodeURIComponent(pieces.slice(index).join('/'));
+    return visit({ methods: child['^methods'], routeParams: params, routers: routers });
+  });
+}
+
+/**
+ * Adds the routes under a node of the route tree to a list, in the same order findRoutes tries them.
+ *
+ * @param {object} node The location in the route tree.
+ * @param {[string]} pieces The route pieces that lead to the node.
+ * @param {[string]} params The names of the route variables that lead to the node.
+ * @param {[object]} routes The list to add to. @see Router.routes.
+ */
+function listRoutes(node, pieces, params, routes) {
+  _.each(node['^routers'], (router) => listRoutes(router._routes, pieces, params, routes));
+
+  let methods = node['^methods'];
+  Array.from(METHODS).filter((method) => _.has(methods, method)).forEach(function(method) {
+    let route = _.extend({
+      method: method,
+      pattern: '/' + pieces.filter((piece) => piece !== '').join('/'),
+      params: params
+    }, methods[method].details);
+    routes.push(route);
+  });
+
+  let keys = _.keys(node).filter((key) => key[0] != '^');
+  let constants = keys.filter(_.negate(isRouteVariable));
+  let variables = keys.filter((key) => isRouteVariable(key) && !isDoubleColonVariable(key));
+  variables = _.sortBy(variables, (key) => node[key]['^variable'].constrained ? 0 : 1);
+
+  constants.concat(variables, keys.filter(isDoubleColonVariable)).forEach(function(key) {
+    let child = node[key];
+    let childParams = child['^variable'] ? params.concat([child['^variable'].name]) : params;
+    listRoutes(child, pieces.concat([key]), childParams, routes);
+  });
+}
+
+/**
+ * Finds the route registered for a method at one location in the route tree. HEAD requests fall back on the GET
+ * route, since node leaves the body off of HEAD responses for us.
+ *
+ * @param {object} methods The routes at a location keyed by method, if there are any.
+ * @param {string} method The method of the http request.
+ * @return {object} The route with its callback and middleware, or null.
+ */
+function getRoute(methods, method) {
+  if (!methods) {
+    return null;
+  }
+  if (_.has(methods, method)) {
+    return methods[method];
+  }
+  if (method == 'HEAD' && _.has(methods, 'GET')) {
+    return methods['GET'];
+  }
+  return null;
+}
+
+// Gets the value of the Allow header for a location in the route tree.
+function getAllowedMethods(methods) {
+  let allowed = new Set(_.keys(methods));
+  if (allowed.has('GET')) {
+    allowed.add('HEAD');
+  }
+  allowed.add('OPTIONS');
+
+  return Array.from(METHODS).filter((method) => allowed.has(method)).join(', ');
+}
+
+/**
+ * Splits a string path into an array based on the / character.
+ *
+ * @param {string} pathname The string path to be split.
+ * @return {[string]} An array of split strings.
+ */
+function getPieces(pathname) {
+  return pathname.split("/");
+}
+
+/**
+ * Turns the input to one of the default setters (like notFoundDefault) into the callback that sends the default.
+ *
+ * @param {string} key The name of the status shortcut on the response, like 'notFound'.
+ * @param {string|function} input Either a callback, which is used as is, or the name of a file to send, which must
+ * exist.
+ * @return {function} The callback, which is given the response.
+ */
+function getDefaultCallback(key, input) {
+  let callback = input;
+  if (_.isString(input)) {
+    // Be sure the file exists
+    fs.lstatSync(input);
+
+    callback = (response) => response[key]().file(input);
+  }
+  if (!_.isFunction(callback)) {
+    throw new Error("Must provide a valid callback.");
+  }
+  return callback;
+}
+
+/**
+ * Gets the path that middleware paths are checked against. The static paths decode the whole rest of the path and let
+ * the file system collapse extra slashes and dot segments, so this does the same: otherwise '/%61dmin/secret.txt',
+ * '//admin/secret.txt' or '/admin%2fsecret.txt' would get around middleware for 'admin'.
+ *
+ * @param {[string]} pieces The pieces of the request path, still encoded.
+ * @return {string} The normalized path. Throws a URIError if the path is not encoded correctly.
+ */
+function getMiddlewarePath(pieces) {
+  return normalizePath(path.posix.normalize('/' + decodeURIComponent(pieces.join('/'))));
+}
+
+// Whether the normalized pathname is the same as or underneath the normalized parent path.
+function isUnderPath(pathname, parentPath) {
+  return parentPath === '' || pathname === parentPath || pathname.startsWith(parentPath + '/');
+}
+
+/**
+ * Strips the leading and trailing slash from a path.
+ *
+ * @param {string} pathname The path to normalize.
+ * @return {string} The normalized path.
+ */
+function normalizePath(pathname) {
+  if (pathname[0] == '/') {
+    pathname = pathname.substring(1);
+  }
+  if (pathname[pathname.length - 1] == '/') {
+    pathname = pathname.substring(0, pathname.length - 1);
+  }
+  return pathname;
+}
+
+module.exports = Router;
+module.exports.normalizePath = normalizePath;
+module.exports.parseVariable = parseVariable;
+module.exports.getDefaultCallback = getDefaultCallback;
+module.exports.METHODS = METHODS;
@@ -0,0 +1,142 @@
+/*!
+ * server-sent-events
+ * MIT License
+ *
+ * This file provides the event channel class that sends server-sent events (text/event-stream) over a response.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var EventEmitter = require('events');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DEFAULT_KEEP_ALIVE = 15000;
+const NEWLINE_REGEX = /\r\n|\r|\n/g;
+
+/**
+ * An open server-sent events connection to one client. Emits 'close' once, when either side closes it.
+ * @public
+ */
+class EventChannel extends EventEmitter {
+  /**
+   * Starts the event stream by writing the headers.
+   *
+   * @param request The request the client opened the channel with.
+   * @param response The response to write events to.
+   * @param statusCode {number} The status code to send.
+   * @param options {object} May have keepAlive, the milliseconds between keep alive comments (defaults to 15 seconds,
+   * 0 turns them off), and retry, the milliseconds the client should wait before reconnecting.
+   */
+  constructor(request, response, statusCode, options) {
+    super();
+    var self = this;
+    options = options || {};
+
+    this._response = response;
+    this.closed = false;
+
+    /**
+     * The id of the last event the client saw before it reconnected (from the Last-Event-ID header), or null.
+     */
+    this.lastEventId = request.headers['last-event-id'] || null;
+
+    response.writeHead(statusCode, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // Writing something right away gets the headers to the client
+    let opening = ':ok\n';
+    if (options.retry) {
+      opening += 'retry: ' + options.retry + '\n';
+    }
+    response.write(opening + '\n');
+
+    let keepAlive = options.keepAlive === undefined ? DEFAULT_KEEP_ALIVE : options.keepAlive;
+    if (keepAlive > 0) {
+      this._keepAliveInterval = setInterval(() => self.comment('keep-alive'), keepAlive);
+    }
+
+    // The response closes when the client goes away
+    response.on('close', () => self.close());
+  }
+
+  /**
+   * Sends an event to the client.
+   *
+   * @param event {string} Optional. The event name, which the client listens for with addEventListener. Events without
+   * a name are message events.
+   * @param data Anything. Strings are sent as is, undefined is sent as empty data and anything else is sent as json.
+   * @param id {string} Optional. The id of the event, which the client sends back as Last-Event-ID when it reconnects.
+   * Line breaks in the event name and id are replaced with spaces, so they can't start another field.
+   */
+  send(event, data, id) {
+    if (arguments.length < 2) {
+      data = event;
+      event = null;
+    }
+    if (this.closed) {
+      return;
+    }
+
+    let message = '';
+    if (id != null) {
+      message += 'id: ' + oneLine(id) + '\n';
+    }
+    if (event) {
+      message += 'event: ' + oneLine(event) + '\n';
+    }
+
+    let text = typeof data === 'string' ? data : JSON.stringify(data);
+    if (text === undefined) {
+      // JSON has nothing for undefined (or functions), so they're sent as empty data
+      text = '';
+    }
+    text.split(NEWLINE_REGEX).forEach(function(line) {
+      message += 'data: ' + line + '\n';
+    });
+
+    this._response.write(message + '\n');
+  }
+
+  /**
+   * Sends a comment, which clients ignore. Useful for keeping proxies from closing an idle connection.
+   *
+   * @param text {string} The comment.
+   */
+  comment(text) {
+    if (this.closed) {
+      return;
+    }
+    this._response.write(': ' + oneLine(text) + '\n\n');
+  }
+
+  /**
+   * Ends the event stream. Safe to call more than once.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    clearInterval(this._keepAliveInterval);
+    this._response.end();
+    this.emit('close');
+  }
+}
+
+function oneLine(text) {
+  return String(text).replace(NEWLINE_REGEX, ' ');
+}
+
+module.exports = EventChannel;
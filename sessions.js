@@ -0,0 +1,453 @@
+/*!
+ * sessions
+ * MIT License
+ *
+ * This file keeps a session for each client, identified by a cookie, and the stores that sessions are kept in.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Module constants.
+ * @private
+ */
+const DEFAULT_COOKIE_NAME = 'tyranno.sid';
+const DEFAULT_MAX_AGE = 24 * 60 * 60;
+const PRUNE_INTERVAL = 60 * 1000;
+const ID_REGEX = /^[0-9a-f]{48}$/;
+
+/**
+ * The data of one client's session, which is available as request.session. Set whatever properties you want on it
+ * (they have to survive JSON.stringify) and they are saved when the response ends.
+ * @public
+ */
+class Session {
+  constructor(id, data, isNew) {
+    hide(this, '_id', id);
+    hide(this, '_isNew', isNew);
+    hide(this, '_regenerated', false);
+    hide(this, '_destroyed', false);
+    hide(this, '_oldIds', []);
+    _.extend(this, data);
+    hide(this, '_snapshot', JSON.stringify(this));
+  }
+
+  /**
+   * The id of the session, which is what the cookie holds.
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Throws away the data of the session and gives it a new id, such as when someone logs in so that an id someone else
+   * might have planted can't be used to get at their session. The old session is removed when the response ends.
+   */
+  regenerate() {
+    _.keys(this).forEach((key) => delete this[key]);
+    this._oldIds.push(this._id);
+    this._id = generateId();
+    this._regenerated = true;
+    this._destroyed = false;
+  }
+
+  /**
+   * Removes the session from the store and clears its cookie when the response ends.
+   */
+  destroy() {
+    _.keys(this).forEach((key) => delete this[key]);
+    this._destroyed = true;
+  }
+}
+
+/**
+ * Loads sessions for requests and saves them when their responses end.
+ * @internal
+ */
+class SessionManager {
+  /**
+   * @param options {object} May have:
+   *   * store: The store to keep sessions in. @see MemoryStore for the methods a store needs.
+   *   * directory: Without a store, sessions are kept in files in this directory (@see FileStore) or else in memory.
+   *   * cookieName: The name of the session cookie. Defaults to tyranno.sid.
+   *   * maxAge: The seconds a session lasts without being used. Defaults to a day.
+   *   * rolling: Whether every request restarts the max age. Defaults to true.
+   *   * secure: Whether the cookie is only sent over https.
+   * @param secret {string|[string]} The cookie secret. If there is one the session cookie is signed.
+   */
+  constructor(options, secret) {
+    options = options || {};
+    this._secret = secret;
+    this._cookieName = options.cookieName || DEFAULT_COOKIE_NAME;
+    this._maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this._rolling = options.rolling !== false;
+    this._secure = !!options.secure;
+
+    if (options.store) {
+      this.store = options.store;
+    }
+    else if (options.directory) {
+      this.store = new FileStore(options.directory);
+    }
+    else {
+      this.store = new MemoryStore();
+    }
+  }
+
+  /**
+   * Sets request.session to the session from the request's cookie (or a new one), and sets up the response to send the
+   * cookie and save the session when it ends.
+   *
+   * @param request The incoming http request.
+   * @param response The response that goes with it.
+   * @param callback {function} Called once the session is loaded, or with an error if the store had one.
+   */
+  load(request, response, callback) {
+    var self = this;
+    let cookieId = this._secret ? request.signedCookies[this._cookieName] : request.cookies[this._cookieName];
+    if (!ID_REGEX.test(cookieId || '')) {
+      cookieId = null;
+    }
+
+    if (!cookieId) {
+      this._attach(request, response, new Session(generateId(), {}, true), null);
+      callback();
+      return;
+    }
+
+    this.store.get(cookieId, function(err, data) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      let session = data ? new Session(cookieId, data, false) : new Session(generateId(), {}, true);
+      self._attach(request, response, session, cookieId);
+      callback();
+    });
+  }
+
+  /**
+   * Flushes the store, such as when the server closes.
+   *
+   * @param callback {function} Called when the store is done, with an error if it had one.
+   */
+  close(callback) {
+    if (_.isFunction(this.store.close)) {
+      this.store.close(callback);
+    }
+    else {
+      callback();
+    }
+  }
+
+  // Sends the cookie along with the headers and saves the session before the response is ended.
+  _attach(request, response, session, cookieId) {
+    var self = this;
+    var writeHead = response.writeHead;
+    var end = response.end;
+    var ending = false;
+
+    request.session = session;
+
+    response.writeHead = function() {
+      if (session._destroyed) {
+        if (cookieId) {
+          response.clearCookie(self._cookieName);
+        }
+      }
+      else if (self._shouldSave(session)) {
+        response.setCookie(self._cookieName, session.id, {
+          maxAge: self._maxAge,
+          httpOnly: true,
+          sameSite: 'Lax',
+          secure: self._secure,
+          signed: !!self._secret
+        });
+      }
+      return writeHead.apply(response, arguments);
+    };
+
+    response.end = function() {
+      let args = arguments;
+      if (ending) {
+        return end.apply(response, args);
+      }
+      ending = true;
+
+      if (!response.headersSent) {
+        // Only writeHead can add the cookie, so make sure the headers go out through it
+        response.writeHead(response.statusCode);
+      }
+
+      let removeIds = session._oldIds.slice();
+      if (session._destroyed && cookieId) {
+        removeIds.push(cookieId);
+      }
+      let save = !session._destroyed && self._shouldSave(session);
+
+      let done = _.after(removeIds.length + (save ? 1 : 0) + 1, () => end.apply(response, args));
+      removeIds.forEach((id) => self.store.destroy(id, (err) => reportError(err, done)));
+      if (save) {
+        self.store.set(session.id, _.extend({}, session), Date.now() + self._maxAge * 1000, (err) => reportError(err, done));
+      }
+      done();
+      return response;
+    };
+  }
+
+  // New sessions are only kept once something is put in them, so visitors that never use theirs don't fill the store.
+  _shouldSave(session) {
+    if (session._isNew || session._regenerated) {
+      return !_.isEmpty(session);
+    }
+    return this._rolling || JSON.stringify(session) != session._snapshot;
+  }
+}
+
+/**
+ * Keeps sessions in memory, so they are lost when the server stops. Any store has to have the same methods:
+ *   * get(id, callback(err, data)): The data is null if there's no session with the id or it has expired.
+ *   * set(id, data, expires, callback(err)): Expires is in milliseconds since the epoch.
+ *   * destroy(id, callback(err))
+ *   * close(callback(err)): Optional. Called when the server closes, so anything pending can be written.
+ * @public
+ */
+class MemoryStore {
+  constructor() {
+    var self = this;
+    this._sessions = new Map();
+    this._pruneInterval = setInterval(() => self._prune(), PRUNE_INTERVAL);
+    // A store shouldn't keep the process running by itself
+    if (this._pruneInterval.unref) {
+      this._pruneInterval.unref();
+    }
+  }
+
+  get(id, callback) {
+    let entry = this._sessions.get(id);
+    if (entry && entry.expires <= Date.now()) {
+      this._sessions.delete(id);
+      entry = null;
+    }
+    // Sessions are copied in and out so that changes aren't saved unless the store is asked to
+    let data = entry ? JSON.parse(entry.json) : null;
+    process.nextTick(() => callback(null, data));
+  }
+
+  set(id, data, expires, callback) {
+    this._sessions.set(id, { json: JSON.stringify(data), expires: expires });
+    process.nextTick(() => callback(null));
+  }
+
+  destroy(id, callback) {
+    this._sessions.delete(id);
+    process.nextTick(() => callback(null));
+  }
+
+  close(callback) {
+    clearInterval(this._pruneInterval);
+    process.nextTick(() => callback(null));
+  }
+
+  _prune() {
+    let now = Date.now();
+    this._sessions.forEach((entry, id) => {
+      if (entry.expires <= now) {
+        this._sessions.delete(id);
+      }
+    });
+  }
+}
+
+/**
+ * Keeps each session in a json file in a directory, so they survive restarts. Expired sessions are removed when they
+ * are next read, and the directory is swept for them when the store starts and every minute after that.
+ * @public
+ */
+class FileStore {
+  /**
+   * @param directory {string} The directory to keep the sessions in. It is created if it doesn't exist.
+   */
+  constructor(directory) {
+    var self = this;
+    this._directory = directory;
+    this._pending = 0;
+    this._closeCallbacks = [];
+    makeDirectory(directory);
+
+    this._prune();
+    this._pruneInterval = setInterval(() => self._prune(), PRUNE_INTERVAL);
+    if (this._pruneInterval.unref) {
+      this._pruneInterval.unref();
+    }
+  }
+
+  get(id, callback) {
+    var self = this;
+    fs.readFile(this._getPath(id), 'utf8', function(err, json) {
+      if (err) {
+        callback(err.code == 'ENOENT' ? null : err, null);
+        return;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(json);
+      }
+      catch (error) {
+        // A half written file isn't worth failing the request over
+        callback(null, null);
+        return;
+      }
+
+      if (entry.expires <= Date.now()) {
+        self.destroy(id, (err) => callback(err, null));
+        return;
+      }
+      callback(null, entry.data);
+    });
+  }
+
+  set(id, data, expires, callback) {
+    var self = this;
+    let filePath = this._getPath(id);
+    // Written to the side and renamed so a reader never sees half of it
+    let tempPath = filePath + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+
+    this._track(callback, function(done) {
+      fs.writeFile(tempPath, JSON.stringify({ expires: expires, data: data }), function(err) {
+        if (err) {
+          done(err);
+          return;
+        }
+        fs.rename(tempPath, filePath, done);
+      });
+    });
+  }
+
+  destroy(id, callback) {
+    let filePath = this._getPath(id);
+    this._track(callback, function(done) {
+      fs.unlink(filePath, (err) => done(err && err.code != 'ENOENT' ? err : null));
+    });
+  }
+
+  close(callback) {
+    clearInterval(this._pruneInterval);
+    if (this._pending == 0) {
+      process.nextTick(() => callback(null));
+      return;
+    }
+    this._closeCallbacks.push(callback);
+  }
+
+  // Keeps count of writes so that close can wait for them.
+  _track(callback, work) {
+    var self = this;
+    this._pending++;
+    work(function(err) {
+      self._pending--;
+      callback(err || null);
+      if (self._pending == 0) {
+        let closeCallbacks = self._closeCallbacks;
+        self._closeCallbacks = [];
+        closeCallbacks.forEach((closeCallback) => closeCallback(null));
+      }
+    });
+  }
+
+  // Removes the files of expired sessions. Their cookies have expired as well, so nobody would read them again.
+  _prune() {
+    var self = this;
+    this._track((err) => reportError(err, _.noop), function(done) {
+      fs.readdir(self._directory, function(err, files) {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        // Temporary files are left alone, since they are about to be renamed
+        let ids = files.filter((file) => path.extname(file) == '.json').map((file) => path.basename(file, '.json'));
+        ids = ids.filter((id) => ID_REGEX.test(id));
+        if (ids.length == 0) {
+          done(null);
+          return;
+        }
+
+        let error = null;
+        let finished = _.after(ids.length, () => done(error));
+        let now = Date.now();
+        ids.forEach(function(id) {
+          let filePath = self._getPath(id);
+          fs.readFile(filePath, 'utf8', function(err, json) {
+            let entry = null;
+            try {
+              entry = err ? null : JSON.parse(json);
+            }
+            catch (parseError) {
+              // Files are renamed into place whole, so one that doesn't parse isn't a session
+            }
+
+            if (!entry || !(entry.expires <= now)) {
+              error = error || (err && err.code != 'ENOENT' ? err : null);
+              finished();
+              return;
+            }
+            fs.unlink(filePath, function(err) {
+              error = error || (err && err.code != 'ENOENT' ? err : null);
+              finished();
+            });
+          });
+        });
+      });
+    });
+  }
+
+  _getPath(id) {
+    if (!ID_REGEX.test(id)) {
+      throw new Error("Invalid session id '" + id + "'.");
+    }
+    return path.join(this._directory, id + '.json');
+  }
+}
+
+function generateId() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Adds a property that JSON.stringify and _.keys skip, so it isn't saved with the session.
+function hide(object, name, value) {
+  Object.defineProperty(object, name, { value: value, writable: true, enumerable: false });
+}
+
+function makeDirectory(directory) {
+  let parent = path.dirname(directory);
+  if (parent != directory && !fs.existsSync(parent)) {
+    makeDirectory(parent);
+  }
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory);
+  }
+}
+
+function reportError(err, done) {
+  if (err) {
+    console.error("Error with session store.");
+    console.error(err);
+  }
+  done();
+}
+
+module.exports.SessionManager = SessionManager;
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
@@ -0,0 +1,24 @@
+/*!
+ * status-error
+ * MIT License
+ *
+ * This file makes errors that carry the http status they should be answered with.
+ */
+
+'use strict';
+
+/**
+ * Makes an error with a statusCode, like the ones from reading request bodies, so whoever handles it knows which error
+ * response to send.
+ *
+ * @param statusCode {number} The http status, like 400 or 413.
+ * @param message {string} The message of the error.
+ * @return {Error} The error.
+ */
+function statusError(statusCode, message) {
+  let error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = statusError;
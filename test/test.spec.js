@@ -1,284 +1,2117 @@
-/*!
- * test
- * MIT License
- *
- * This file holds some tests.
- */
-
-'use strict';
-
-var _ = require('lodash');
-var assert = require('assert');
-var path = require('path');
-var request = require('request');
-
-var TyrannoServe = require('../tyranno-serve');
-var tyrannoInput = require('../tyranno-input');
-
-describe('TyrannoServer', function() {
-  describe('serving files', function () {
-    it('should serve 1.txt from test/samples/1.txt', function (done) {
-      let server = basicServe();
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
-    });
-
-    it('should add a script tag to an html file', function(done) {
-      let server = basicServe();
-      request('http://127.0.0.1:2314/', function(error, response, body) {
-        assert.equal(null, error);
-        assert.equal(200, response.statusCode);
-        assert.notEqual(-1, body.indexOf('<script>'));
-        server.close(done);
-      });
-    });
-
-    it('should be able to do a fallback', function(done) {
-      let paths = {
-        '': [
-          path.join(__dirname, 'samples/1'),
-          path.join(__dirname, 'samples/2')
-        ]
-      };
-      let server = basicServe(paths);
-
-      let ifSuccess = _.after(2, done);
-      let always = _.after(2, () => server.close());
-
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/2.txt', 200, "Text for 2", ifSuccess, always);
-    });
-
-    it('should be able to serve different folders with different paths', function(done) {
-      let paths = {
-        '': path.join(__dirname, 'samples/1'),
-        '2': path.join(__dirname, 'samples/2')
-      };
-      let server = basicServe(paths);
-
-      let ifSuccess = _.after(2, done);
-      let always = _.after(2, () => server.close());
-
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/2/2.txt', 200, "Text for 2", ifSuccess, always);
-    });
-
-    it('should be able to nest variables and paths under each other', function(done) {
-      var server = new TyrannoServe({ quiet: true, noBrowser: true, port: 2314 });
-
-      let ifSuccess = _.after(2, done);
-      let always = _.after(2, () => server.close());
-
-      server.addRoute('GET', '/users/:userId', function(request, response) {
-        assert.equal(1, request.routeParams.userId);
-        response.ok().data("hola");
-      });
-      server.addRoute('GET', '/users/:userId/products/:productId', function(request, response) {
-        assert.equal(2, request.routeParams.userId);
-        assert.equal(3, request.routeParams.productId);
-        response.ok().data("namaste");
-      });
-
-      server.listen();
-
-      requestAssert('http://127.0.0.1:2314/users/1', 200, '"hola"', ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/users/2/products/3', 200, '"namaste"', ifSuccess, always);
-    });
-
-    it('should be able to listen to a different host', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet',
-        '--hostname', 'localhost',
-        '--path', '=' + path.join(__dirname, 'samples/1')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
-      done();
-    });
-
-    it('has descriptions for all options.', function() {
-      let argvOptions = require('../argv-options.json');
-      for (let name in argvOptions) {
-        let description = argvOptions[name].description;
-        assert.ok(description, "Argument '" + name + "' must have a description.");
-        assert.ok(_.isString(description), "Argument '" + name + "' must be a string.");
-        assert.ok(10 < description.length, "Argument '" + name + "' must have a real description.");
-      }
-    });
-
-    it('can load paths from a settings file specified on the command line and merge', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet',
-        '--port', 2314,
-        '--path', '=' + path.join(__dirname, 'samples/2'),
-        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-
-      let ifSuccess = _.after(2, done);
-      let always = _.after(2, () => server.close());
-
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/2.txt', 200, "Text for 2", ifSuccess, always);
-    });
-
-    it('adds an open command if none are specified', function() {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
-      assert.ok(settings.open.length > 0, "Settings should have at least one open command.");
-
-      settings = tyrannoInput.fromArgv(['tyranno-serve']);
-      assert.ok(settings.open.length > 0, "Settings should have at least one open command.");
-    });
-
-    it('should not add a script tag to an html file when no-listen is specified', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet', '--no-listen',
-        '--port', 2314,
-        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-
-      request('http://127.0.0.1:2314/', function(error, response, body) {
-        try {
-          assert.equal(null, error);
-          assert.equal(200, response.statusCode);
-          assert.equal(-1, body.indexOf('<script>'));
-          done();
-        }
-        finally {
-          server.close();
-        }
-      });
-    });
-
-    it('can create a path from a name free argument parameter', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet',
-        '--port', 2314,
-        path.join(__dirname, 'samples/1')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
-    });
-
-    it('sends a default 404 message', function(done) {
-      let server = basicServe();
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Not found.", done, always);
-    });
-
-    it('has a customizeable 404 message.', function(done) {
-      let server = basicServe();
-      server.notFoundDefault(path.join(__dirname, 'samples/1/not-found.txt'));
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Custom not found message.", done, always);
-    });
-
-    it('can load a not found default from a settings file', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet',
-        '--port', 2314,
-        '--not-found', path.join(__dirname, 'samples/1/not-found.txt'),
-        path.join(__dirname, 'samples/1')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-
-      let always = () => server.close();
-      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Custom not found message.", done, always);
-    });
-
-    it('automatically adds an open parameter if nobrowser is not specified.', function() {
-      let settings = tyrannoInput.fromInput({});
-      assert.equal(1, settings.open.length);
-      assert.equal('', settings.open[0]);
-    });
-
-    it('should be able to serve a route both with and without a trailing slash.', function(done) {
-      var server = new TyrannoServe({ quiet: true, noBrowser: true, port: 2314 });
-
-      server.addRoute('GET', '/one', function(request, response) {
-        response.ok().content('one');
-      });
-      server.addRoute('GET', '/two/', function(request, response) {
-        response.ok().content('two');
-      });
-      server.listen();
-
-      let ifSuccess = _.after(4, done);
-      let always = _.after(4, () => server.close());
-
-      requestAssert('http://127.0.0.1:2314/one', 200, 'one', ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/one/', 200, 'one', ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/two', 200, 'two', ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/two/', 200, 'two', ifSuccess, always);
-    });
-
-    it('can serve files with special characters in the names', function(done) {
-      let settings = tyrannoInput.fromArgv(['tyranno-serve',
-        '--no-browser', '--quiet',
-        '--port', 2314,
-        path.join(__dirname, 'samples/3')]);
-      let server = new TyrannoServe(settings);
-      server.listen();
-
-      let ifSuccess = _.after(2, done);
-      let always = _.after(2, () => server.close());
-
-      requestAssert('http://127.0.0.1:2314/%C3%A9toile.txt', 200, 'toile', ifSuccess, always);
-      requestAssert('http://127.0.0.1:2314/cute%20monster%23.txt', 200, 'cute monster#', ifSuccess, always);
-    });
-
-  });
-});
-
-function basicServe(paths) {
-  if (!paths) {
-    paths = { '': path.join(__dirname, 'samples/1') };
-  }
-
-  let settings = {
-    port: 2314,
-    paths: paths,
-    noBrowser: true,
-    quiet: true
-  };
-
-  let server = new TyrannoServe(settings);
-  server.listen(); 
-
-  return server;
-}
-
-/**
- * Gets a callback for request that asserts the response status code is correct and
- * that the text matches the expectation.
- *
- * @param {string} requestUrl Url to send the request to
- * @param {int} Expected status code
- * @param {string} expectedText The text that is expected. Note that equality is checked after both expected and actual are trimmed.
- * @param {function} ifSuccess Method to call if request completes successfully
- * @param {function} always Method to call no matter what
- */
-function requestAssert(requestUrl, expectedStatusCode, expectedText, ifSuccess, always) {
-  request(requestUrl, onRequested);
-
-  function onRequested(error, response, body) {
-    try {
-      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
-      assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
-      
-      // Vim enters extra newlines...not worth fixing
-      assert.equal(expectedText.trim(), body.trim(), "Invalid body for '" + requestUrl + "'.");
-
-      ifSuccess();
-    }
-    finally {
-      // Be sure to turn off the server even if there are failures, otherwise all other tests will fail.
-      always();
-    }
-  };
-}
+/*!
+ * test
+ * MIT License
+ *
+ * This file holds some tests.
+ */
+
+'use strict';
+
+var _ = require('lodash');
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var request = require('request');
+var stream = require('stream');
+var zlib = require('zlib');
+
+var TyrannoServe = require('../tyranno-serve');
+var tyrannoInput = require('../tyranno-input');
+
+describe('TyrannoServer', function() {
+  describe('serving files', function () {
+    it('should serve 1.txt from test/samples/1.txt', function (done) {
+      let server = basicServe();
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
+    });
+
+    it('should add a script tag to an html file', function(done) {
+      let server = basicServe();
+      request('http://127.0.0.1:2314/', function(error, response, body) {
+        assert.equal(null, error);
+        assert.equal(200, response.statusCode);
+        assert.notEqual(-1, body.indexOf('<script>'));
+        server.close(done);
+      });
+    });
+
+    it('should be able to do a fallback', function(done) {
+      let paths = {
+        '': [
+          path.join(__dirname, 'samples/1'),
+          path.join(__dirname, 'samples/2')
+        ]
+      };
+      let server = basicServe(paths);
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/2.txt', 200, "Text for 2", ifSuccess, always);
+    });
+
+    it('should be able to serve different folders with different paths', function(done) {
+      let paths = {
+        '': path.join(__dirname, 'samples/1'),
+        '2': path.join(__dirname, 'samples/2')
+      };
+      let server = basicServe(paths);
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/2/2.txt', 200, "Text for 2", ifSuccess, always);
+    });
+
+    it('should be able to nest variables and paths under each other', function(done) {
+      var server = new TyrannoServe({ quiet: true, noBrowser: true, port: 2314 });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      server.addRoute('GET', '/users/:userId', function(request, response) {
+        assert.equal(1, request.routeParams.userId);
+        response.ok().data("hola");
+      });
+      server.addRoute('GET', '/users/:userId/products/:productId', function(request, response) {
+        assert.equal(2, request.routeParams.userId);
+        assert.equal(3, request.routeParams.productId);
+        response.ok().data("namaste");
+      });
+
+      server.listen();
+
+      requestAssert('http://127.0.0.1:2314/users/1', 200, '"hola"', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/users/2/products/3', 200, '"namaste"', ifSuccess, always);
+    });
+
+    it('should be able to listen to a different host', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet',
+        '--hostname', 'localhost',
+        '--path', '=' + path.join(__dirname, 'samples/1')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
+      done();
+    });
+
+    it('has descriptions for all options.', function() {
+      let argvOptions = require('../argv-options.json');
+      for (let name in argvOptions) {
+        let description = argvOptions[name].description;
+        assert.ok(description, "Argument '" + name + "' must have a description.");
+        assert.ok(_.isString(description), "Argument '" + name + "' must be a string.");
+        assert.ok(10 < description.length, "Argument '" + name + "' must have a real description.");
+      }
+    });
+
+    it('can load paths from a settings file specified on the command line and merge', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet',
+        '--port', 2314,
+        '--path', '=' + path.join(__dirname, 'samples/2'),
+        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/2.txt', 200, "Text for 2", ifSuccess, always);
+    });
+
+    it('adds an open command if none are specified', function() {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
+      assert.ok(settings.open.length > 0, "Settings should have at least one open command.");
+
+      settings = tyrannoInput.fromArgv(['tyranno-serve']);
+      assert.ok(settings.open.length > 0, "Settings should have at least one open command.");
+    });
+
+    it('should not add a script tag to an html file when no-listen is specified', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet', '--no-listen',
+        '--port', 2314,
+        '--settings', path.join(__dirname, 'samples/simplest-config.json')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+
+      request('http://127.0.0.1:2314/', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.equal(-1, body.indexOf('<script>'));
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('can create a path from a name free argument parameter', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet',
+        '--port', 2314,
+        path.join(__dirname, 'samples/1')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, "text 1 from file", done, always);
+    });
+
+    it('sends a default 404 message', function(done) {
+      let server = basicServe();
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Not found.", done, always);
+    });
+
+    it('has a customizeable 404 message.', function(done) {
+      let server = basicServe();
+      server.notFoundDefault(path.join(__dirname, 'samples/1/not-found.txt'));
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Custom not found message.", done, always);
+    });
+
+    it('can load a not found default from a settings file', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet',
+        '--port', 2314,
+        '--not-found', path.join(__dirname, 'samples/1/not-found.txt'),
+        path.join(__dirname, 'samples/1')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/doesntExist.txt', 404, "Custom not found message.", done, always);
+    });
+
+    it('automatically adds an open parameter if nobrowser is not specified.', function() {
+      let settings = tyrannoInput.fromInput({});
+      assert.equal(1, settings.open.length);
+      assert.equal('', settings.open[0]);
+    });
+
+    it('should be able to serve a route both with and without a trailing slash.', function(done) {
+      var server = new TyrannoServe({ quiet: true, noBrowser: true, port: 2314 });
+
+      server.addRoute('GET', '/one', function(request, response) {
+        response.ok().content('one');
+      });
+      server.addRoute('GET', '/two/', function(request, response) {
+        response.ok().content('two');
+      });
+      server.listen();
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/one', 200, 'one', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/one/', 200, 'one', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/two', 200, 'two', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/two/', 200, 'two', ifSuccess, always);
+    });
+
+    it('can serve files with special characters in the names', function(done) {
+      let settings = tyrannoInput.fromArgv(['tyranno-serve',
+        '--no-browser', '--quiet',
+        '--port', 2314,
+        path.join(__dirname, 'samples/3')]);
+      let server = new TyrannoServe(settings);
+      server.listen();
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/%C3%A9toile.txt', 200, 'toile', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/cute%20monster%23.txt', 200, 'cute monster#', ifSuccess, always);
+    });
+
+  });
+
+  describe('middleware', function() {
+    it('runs global middleware before static files and routes', function(done) {
+      let server = basicServe();
+      server.use(function(request, response, next) {
+        response.setHeader('X-Dinosaur', 'rex');
+        next();
+      });
+      server.addRoute('GET', '/users/:userId', function(request, response) {
+        response.ok().content('user', 'text/plain');
+      });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      headersAssert('http://127.0.0.1:2314/1.txt', 200, { 'x-dinosaur': 'rex' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/users/1', 200, { 'x-dinosaur': 'rex' }, ifSuccess, always);
+    });
+
+    it('only runs path prefixed middleware under that path', function(done) {
+      let server = basicServe();
+      server.use('/api', function(request, response) {
+        response.badRequest().content('blocked', 'text/plain');
+      });
+      server.addRoute('GET', '/api/users', function(request, response) {
+        response.ok().content('users', 'text/plain');
+      });
+      server.addRoute('GET', '/apiary', function(request, response) {
+        response.ok().content('bees', 'text/plain');
+      });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/api/users', 400, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/apiary', 200, 'bees', ifSuccess, always);
+    });
+
+    it('runs path prefixed middleware for static files however the path is written', function(done) {
+      let server = basicServe({ '': path.join(__dirname, 'samples') });
+      server.use('/1', function(request, response) {
+        response.forbidden().content('blocked', 'text/plain');
+      });
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/1/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/%31/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314//1/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/1%2f1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/2/2.txt', 200, 'Text for 2', ifSuccess, always);
+    });
+
+    it('runs route middleware in order after global middleware', function(done) {
+      let server = basicServe();
+      let calls = [];
+      server.use(function(request, response, next) {
+        calls.push('global');
+        next();
+      });
+      let first = function(request, response, next) {
+        calls.push('first');
+        next();
+      };
+      let second = function(request, response, next) {
+        calls.push('second');
+        next();
+      };
+      server.addRoute('GET', '/order', [first, second], function(request, response) {
+        calls.push('route');
+        response.ok().content(calls.join(','), 'text/plain');
+      });
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/order', 200, 'global,first,second,route', done, always);
+    });
+
+    it('sends an internal server error when middleware passes an error to next', function(done) {
+      let server = basicServe();
+      let errors = [];
+      server.addListener('error', (error) => errors.push(error.message));
+      server.use(function(request, response, next) {
+        next(new Error("Testing middleware errors."));
+      });
+
+      let ifSuccess = function() {
+        assert.deepEqual(["Testing middleware errors."], errors);
+        done();
+      };
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/1.txt', 500, 'Internal server error.', ifSuccess, always);
+    });
+  });
+
+  describe('route handlers', function() {
+    it('sends the resolved value of a returned promise as json', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/users/:userId', function(request) {
+        return Promise.resolve({ id: request.routeParams.userId });
+      });
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/users/7', 200, '{"id":"7"}', done, always);
+    });
+
+    it('does not send a second response when the promise resolves after responding', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/manual', function(request, response) {
+        response.ok().content('manual', 'text/plain');
+        return Promise.resolve('ignored');
+      });
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/manual', 200, 'manual', done, always);
+    });
+
+    it('sends an internal server error and emits an error event for rejections and throws', function(done) {
+      let server = basicServe();
+      let errors = [];
+      server.addListener('error', function(error, request, response) {
+        assert.ok(request.url);
+        assert.ok(response.internalServerError);
+        errors.push(error.message);
+      });
+      server.addRoute('GET', '/rejects', function() {
+        return Promise.reject(new Error('rejected'));
+      });
+      server.addRoute('GET', '/throws', function() {
+        throw new Error('thrown');
+      });
+
+      let ifSuccess = _.after(2, function() {
+        assert.deepEqual(['rejected', 'thrown'], errors.sort());
+        done();
+      });
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/rejects', 500, 'Internal server error.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/throws', 500, 'Internal server error.', ifSuccess, always);
+    });
+
+    it('sends an internal server error when middleware throws', function(done) {
+      let server = basicServe();
+      server.addListener('error', () => { });
+      server.use(function() {
+        throw new Error('middleware');
+      });
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/1.txt', 500, 'Internal server error.', done, always);
+    });
+  });
+
+  describe('routing', function() {
+    it('allows different variable names at the same location', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/items/:itemId', (request, response) => response.ok().data(request.routeParams));
+      server.addRoute('GET', '/items/:category/:page', (request, response) => response.ok().data(request.routeParams));
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/items/7', 200, '{"itemId":"7"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/items/toys/2', 200, '{"category":"toys","page":"2"}', ifSuccess, always);
+    });
+
+    it('backtracks from constants to variables when the rest of the path does not match', function(done) {
+      let server = settingsServe();
+      server.addRoute('GET', '/users/me/settings', (request, response) => response.ok().data('settings'));
+      server.addRoute('GET', '/users/:userId/products/:productId', (request, response) => response.ok().data(request.routeParams));
+      server.addRoute('GET', '/users/::rest', (request, response) => response.ok().data(request.routeParams));
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/users/me/settings', 200, '"settings"', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/users/me/products/3', 200, '{"userId":"me","productId":"3"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/users/me/other/thing', 200, '{"rest":"me/other/thing"}', ifSuccess, always);
+    });
+
+    it('only matches constrained variables with matching values', function(done) {
+      let server = settingsServe();
+      server.addRoute('GET', '/users/:userId<int>', (request, response) => response.ok().data(request.routeParams));
+      server.addRoute('GET', '/users/:name', (request, response) => response.ok().data(request.routeParams));
+      server.addRoute('GET', '/codes/:code([a-z]{3})', (request, response) => response.ok().data(request.routeParams));
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/users/42', 200, '{"userId":42}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/users/rex', 200, '{"name":"rex"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/codes/abc', 200, '{"code":"abc"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/codes/abcd', 404, 'Not found.', ifSuccess, always);
+    });
+
+    it('refuses unknown variable types', function() {
+      var server = new TyrannoServe({ quiet: true, noBrowser: true });
+      assert.throws(() => server.addRoute('GET', '/users/:userId<dinosaur>', () => { }), /Unknown route variable type/);
+    });
+
+    it('parses the query string', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/search', (request, response) => response.ok().data(request.query));
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/search?q=rex&tag=big&tag=teeth', 200, '{"q":"rex","tag":["big","teeth"]}',
+        done, always);
+    });
+
+    it('sends a bad request for malformed url encoding', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/users/:userId', (request, response) => response.ok().data(request.routeParams));
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/users/%E0%A4%A', 400, 'Bad request.', done, always);
+    });
+  });
+
+  describe('routers', function() {
+    it('serves the routes of mounted and nested routers', function(done) {
+      let server = basicServe();
+      let api = new TyrannoServe.Router();
+      let users = new TyrannoServe.Router();
+
+      users.addRoute('GET', '', (request, response) => response.ok().data('all users'));
+      users.addRoute('GET', ':userId', (request, response) => response.ok().data(request.routeParams));
+      api.mount('users', users);
+      api.addRoute('GET', 'health', (request, response) => response.ok().data('healthy'));
+      server.mount('api/v1.0', api);
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/api/v1.0/health', 200, '"healthy"', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/api/v1.0/users', 200, '"all users"', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/api/v1.0/users/7', 200, '{"userId":"7"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/1.txt', 200, 'text 1 from file', ifSuccess, always);
+    });
+
+    it('runs router middleware only for requests routed to it', function(done) {
+      let server = basicServe();
+      let api = new TyrannoServe.Router();
+      api.use(function(request, response, next) {
+        response.setHeader('X-Api', 'yes');
+        next();
+      });
+      api.use('admin', (request, response) => response.badRequest().content('no admins', 'text/plain'));
+      api.addRoute('GET', 'users', (request, response) => response.ok().data('users'));
+      api.addRoute('GET', 'admin/users', (request, response) => response.ok().data('admins'));
+      server.mount('api', api);
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      headersAssert('http://127.0.0.1:2314/api/users', 200, { 'x-api': 'yes' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/1.txt', 200, { 'x-api': undefined }, ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/api/admin/users', 400, 'no admins', ifSuccess, always);
+    });
+
+    it('runs router middleware for the files a router serves however the path is written', function(done) {
+      let server = basicServe();
+      let files = new TyrannoServe.Router();
+      files.use('1', (request, response) => response.forbidden().content('blocked', 'text/plain'));
+      files.addRoute('GET', '::filePath', function(request, response) {
+        response.ok().file(path.join(__dirname, 'samples', request.routeParams.filePath));
+      });
+      server.mount('files', files);
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/files/1/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/files/%31/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/files//1/1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/files/1%2f1.txt', 403, 'blocked', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/files/2/2.txt', 200, 'Text for 2', ifSuccess, always);
+    });
+
+    it('uses the not found default of the router the request is under', function(done) {
+      let server = basicServe();
+      let api = new TyrannoServe.Router();
+      api.notFoundDefault((response) => response.notFound().data({ error: 'no such api' }));
+      api.addRoute('GET', 'users/:userId', function(request, response) {
+        response.notFound().doDefault();
+      });
+      server.mount('api', api);
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/api/products', 404, '{"error":"no such api"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/api/users/1', 404, '{"error":"no such api"}', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/products', 404, 'Not found.', ifSuccess, always);
+    });
+  });
+
+  describe('route listing', function() {
+    it('lists rest routes, static paths and mounted routes', function() {
+      let staticPath = path.join(__dirname, 'samples/1');
+      let server = new TyrannoServe({ quiet: true, noBrowser: true, noListen: true, paths: { '': staticPath } });
+      let api = new TyrannoServe.Router();
+      api.addRoute('PUT', 'users/:userId<int>', () => { });
+      server.mount('api', api);
+      server.addRoute('GET', '/users/:userId/products/:productId', () => { });
+      server.addRoute('POST', '/users/:userId/products/:productId', () => { });
+
+      assert.deepEqual([
+        { method: 'PUT', pattern: '/api/users/:userId<int>', params: ['userId'], kind: 'rest' },
+        { method: 'GET', pattern: '/users/:userId/products/:productId', params: ['userId', 'productId'], kind: 'rest' },
+        { method: 'POST', pattern: '/users/:userId/products/:productId', params: ['userId', 'productId'], kind: 'rest' },
+        { method: 'GET', pattern: '/::filePath', params: ['filePath'], kind: 'static', staticPaths: [staticPath] }
+      ], server.routes());
+    });
+  });
+
+  describe('status defaults', function() {
+    function statusServe(settings) {
+      let server = settingsServe(settings);
+      ['unauthorized', 'forbidden', 'conflict', 'tooManyRequests', 'serviceUnavailable'].forEach(function(name) {
+        server.addRoute('GET', '/' + name, (request, response) => response[name]().doDefault());
+      });
+      server.addRoute('POST', '/conflict', (request, response) => response.conflict().problem({ detail: 'Rex is taken.', name: 'rex' }));
+      return server;
+    }
+
+    it('has shortcuts and defaults for more statuses', function(done) {
+      let server = statusServe();
+
+      let ifSuccess = _.after(6, done);
+      let always = _.after(6, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/unauthorized', 401, 'Unauthorized.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/forbidden', 403, 'Forbidden.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/conflict', 409, 'Conflict.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/tooManyRequests', 429, 'Too many requests.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/serviceUnavailable', 503, 'Service unavailable.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/forbidden/nope', 404, 'Not found.', ifSuccess, always);
+    });
+
+    it('uses default files and callbacks', function(done) {
+      let server = statusServe({ forbidden: path.join(__dirname, 'samples/1/not-found.txt') });
+      server.unauthorizedDefault((response) => response.unauthorized().setHeader('WWW-Authenticate', 'Basic').content('Who are you?', 'text/plain'));
+      server.methodNotAllowedDefault((response) => response.methodNotAllowed().data({ error: 'nope' }));
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/forbidden', 403, fs.readFileSync(path.join(__dirname, 'samples/1/not-found.txt'), 'utf8'), ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/unauthorized', 401, 'Who are you?', ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/unauthorized', 401, { 'www-authenticate': 'Basic' }, ifSuccess, always);
+      request({ method: 'DELETE', url: 'http://127.0.0.1:2314/unauthorized' }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(405, response.statusCode);
+          assert.equal('GET, HEAD, OPTIONS', response.headers['allow']);
+          assert.equal('{"error":"nope"}', body);
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    });
+
+    it('sends problems to clients that prefer json', function(done) {
+      let server = statusServe({ problemJson: true });
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      let problemAssert = function(method, requestUrl, accept, expectedType, expectedBody) {
+        request({ method: method, url: requestUrl, headers: { 'Accept': accept } }, function(error, response, body) {
+          try {
+            assert.equal(null, error);
+            assert.equal(expectedType, response.headers['content-type']);
+            assert.deepEqual(expectedBody, expectedType == 'text/plain' ? body : JSON.parse(body));
+            ifSuccess();
+          }
+          finally {
+            always();
+          }
+        });
+      };
+
+      problemAssert('GET', 'http://127.0.0.1:2314/forbidden', 'application/json', 'application/problem+json',
+        { type: 'about:blank', title: 'Forbidden', status: 403, instance: '/forbidden' });
+      problemAssert('GET', 'http://127.0.0.1:2314/forbidden', 'text/html, */*;q=0.1', 'text/plain', 'Forbidden.');
+      problemAssert('POST', 'http://127.0.0.1:2314/conflict', 'text/html', 'application/problem+json',
+        { type: 'about:blank', title: 'Conflict', status: 409, instance: '/conflict', detail: 'Rex is taken.', name: 'rex' });
+    });
+  });
+
+  describe('methods', function() {
+    function methodAssert(method, requestUrl, expectedStatusCode, expectedAllow, expectedText, ifSuccess, always) {
+      request({ method: method, url: requestUrl }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for " + method + " " + requestUrl);
+          assert.equal(expectedAllow, response.headers['allow'], "Invalid allow header for " + method + " " + requestUrl);
+          assert.equal(expectedText, body.trim(), "Invalid body for " + method + " " + requestUrl);
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    }
+
+    it('sends method not allowed with an allow header when the path exists', function(done) {
+      let server = basicServe();
+      server.addRoute('POST', '/users/:userId', (request, response) => response.ok().data('posted'));
+      server.addRoute('PUT', '/users/:userId', (request, response) => response.ok().data('put'));
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      methodAssert('DELETE', 'http://127.0.0.1:2314/users/1', 405, 'POST, PUT, OPTIONS', 'Method not allowed.',
+        ifSuccess, always);
+      methodAssert('POST', 'http://127.0.0.1:2314/1.txt', 405, 'GET, HEAD, OPTIONS', 'Method not allowed.',
+        ifSuccess, always);
+      methodAssert('GET', 'http://127.0.0.1:2314/users/1/products', 404, undefined, 'Not found.', ifSuccess, always);
+    });
+
+    it('answers head requests from get routes and static paths', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/users/:userId', (request, response) => response.ok().data('user'));
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      methodAssert('HEAD', 'http://127.0.0.1:2314/1.txt', 200, undefined, '', ifSuccess, always);
+      methodAssert('HEAD', 'http://127.0.0.1:2314/users/1', 200, undefined, '', ifSuccess, always);
+    });
+
+    it('lists allowed methods for options requests', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/users/:userId', (request, response) => response.ok().data('user'));
+      server.addRoute('PATCH', '/users/:userId', (request, response) => response.ok().data('patched'));
+
+      let always = () => server.close();
+      methodAssert('OPTIONS', 'http://127.0.0.1:2314/users/1', 204, 'GET, HEAD, PATCH, OPTIONS', '', done, always);
+    });
+  });
+
+  describe('content negotiation', function() {
+    function negotiateServe() {
+      let server = basicServe();
+      server.addRoute('GET', '/rex', function(request, response) {
+        response.ok().negotiate({
+          'application/json': { name: 'rex' },
+          'text/html': (sender, type) => sender.content('<p>rex</p>', type)
+        });
+      });
+      server.addRoute('GET', '/raptor', function(request, response) {
+        response.ok().negotiate({
+          'application/json': { name: 'raptor' },
+          default: (sender) => sender.content('raptor', 'text/plain')
+        });
+      });
+      return server;
+    }
+
+    function acceptAssert(requestUrl, accept, expectedStatusCode, expectedText, ifSuccess, always) {
+      request({ url: requestUrl, headers: { 'Accept': accept } }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + accept + "'.");
+          assert.equal(expectedText, body, "Invalid body for '" + accept + "'.");
+          assert.equal('Accept', response.headers['vary']);
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    }
+
+    it('sends the type with the highest q value', function(done) {
+      let server = negotiateServe();
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      acceptAssert('http://127.0.0.1:2314/rex', 'text/html', 200, '<p>rex</p>', ifSuccess, always);
+      acceptAssert('http://127.0.0.1:2314/rex', 'text/html;q=0.5, application/json', 200, '{"name":"rex"}', ifSuccess, always);
+      acceptAssert('http://127.0.0.1:2314/rex', 'text/*, application/json;q=0.9', 200, '<p>rex</p>', ifSuccess, always);
+      acceptAssert('http://127.0.0.1:2314/rex', '*/*', 200, '{"name":"rex"}', ifSuccess, always);
+    });
+
+    it('uses the default or sends not acceptable when nothing matches', function(done) {
+      let server = negotiateServe();
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      acceptAssert('http://127.0.0.1:2314/raptor', 'image/png', 200, 'raptor', ifSuccess, always);
+      acceptAssert('http://127.0.0.1:2314/rex', 'image/png', 406, 'Not acceptable.', ifSuccess, always);
+      acceptAssert('http://127.0.0.1:2314/rex', 'application/json;q=0', 406, 'Not acceptable.', ifSuccess, always);
+    });
+  });
+
+  describe('streaming responses', function() {
+    it('streams a readable to the response', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/stream', function(request, response) {
+        let readable = new stream.PassThrough();
+        response.ok().stream(readable, 'text/plain');
+        readable.write('rex ');
+        setTimeout(() => readable.end('raptor'), 10);
+      });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/stream', 200, 'rex raptor', ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/stream', 200, { 'content-type': 'text/plain' }, ifSuccess, always);
+    });
+
+    it('sends an internal server error if the readable fails before sending anything', function(done) {
+      let server = basicServe();
+      let errors = [];
+      server.addListener('error', (error) => errors.push(error.message));
+      server.addRoute('GET', '/stream', function(request, response) {
+        let readable = new stream.PassThrough();
+        response.ok().stream(readable, 'text/plain');
+        setImmediate(() => readable.emit('error', new Error('Testing stream errors.')));
+      });
+
+      let always = () => server.close();
+      requestAssert('http://127.0.0.1:2314/stream', 500, 'Internal server error.', function() {
+        assert.deepEqual(['Testing stream errors.'], errors);
+        done();
+      }, always);
+    });
+
+    it('sends server-sent events', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/events', function(request, response) {
+        let channel = response.ok().events({ retry: 1000 });
+        channel.send('hatch', { name: channel.lastEventId }, 1);
+        channel.send('two\nlines');
+        channel.comment('nearly done');
+        channel.close();
+      });
+
+      let options = { url: 'http://127.0.0.1:2314/events', headers: { 'Last-Event-ID': 'raptor' } };
+      request(options, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.equal('text/event-stream; charset=utf-8', response.headers['content-type']);
+          assert.equal(':ok\nretry: 1000\n\n' +
+            'id: 1\nevent: hatch\ndata: {"name":"raptor"}\n\n' +
+            'data: two\ndata: lines\n\n' +
+            ': nearly done\n\n', body);
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('sends undefined data as an empty data line and keeps line breaks out of the event name and id', function(done) {
+      let server = basicServe();
+      server.addRoute('GET', '/events', function(request, response) {
+        let channel = response.ok().events();
+        channel.send('progress', undefined);
+        channel.send('hatch\ndata: forged', 'egg', '1\r\nevent: forged');
+        channel.close();
+      });
+
+      request('http://127.0.0.1:2314/events', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(':ok\n\n' +
+            'event: progress\ndata: \n\n' +
+            'id: 1 event: forged\nevent: hatch data: forged\ndata: egg\n\n', body);
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('closes event channels when the server closes', function(done) {
+      let server = basicServe();
+      let closed = false;
+      server.addRoute('GET', '/events', function(request, response) {
+        let channel = response.ok().events();
+        channel.on('close', () => closed = true);
+        setImmediate(() => server.close());
+      });
+
+      request('http://127.0.0.1:2314/events', function(error, response, body) {
+        assert.equal(null, error);
+        assert.equal(':ok\n\n', body);
+        assert(closed);
+        done();
+      });
+    });
+  });
+
+  describe('compression', function() {
+    function compressServe(settings) {
+      let server = settingsServe(_.extend({ paths: { '': path.join(__dirname, 'samples/1') } }, settings));
+      server.addRoute('GET', '/rexes', (request, response) => response.ok().data(_.range(500).map((i) => 'rex ' + i)));
+      server.addRoute('GET', '/raptor', (request, response) => response.ok().content('raptor', 'text/plain'));
+      return server;
+    }
+
+    it('compresses data with the encoding the client prefers', function(done) {
+      let server = compressServe();
+      let rexes = JSON.stringify(_.range(500).map((i) => 'rex ' + i));
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      encodingAssert('http://127.0.0.1:2314/rexes', 'gzip', 'gzip', rexes, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/rexes', 'gzip, deflate, br', 'br', rexes, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/rexes', 'br;q=0.5, gzip', 'gzip', rexes, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/rexes', 'identity', undefined, rexes, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/rexes', 200, { 'vary': 'Accept-Encoding' }, ifSuccess, always);
+    });
+
+    it('makes the ETag of compressed responses weak', function(done) {
+      let server = compressServe();
+
+      request('http://127.0.0.1:2314/rexes', function(error, response) {
+        let etag = response.headers['etag'];
+        assert.ok(/^"/.test(etag), "Expected a strong ETag for the uncompressed response.");
+
+        let ifSuccess = _.after(2, done);
+        let always = _.after(2, () => server.close());
+
+        let options = { url: 'http://127.0.0.1:2314/rexes', headers: { 'Accept-Encoding': 'gzip' } };
+        headersAssert(options, 200, { 'ETag': 'W/' + etag, 'Content-Encoding': 'gzip' }, ifSuccess, always);
+        options = { url: 'http://127.0.0.1:2314/rexes', headers: { 'Accept-Encoding': 'gzip', 'If-None-Match': 'W/' + etag } };
+        responseAssert(options, 304, () => {}, ifSuccess, always);
+      });
+    });
+
+    it('compresses static files and skips content under the threshold', function(done) {
+      let server = compressServe({ compressionThreshold: 10 });
+      let text = fs.readFileSync(path.join(__dirname, 'samples/1/1.txt'), 'utf8').trim();
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      encodingAssert('http://127.0.0.1:2314/1.txt', 'gzip', 'gzip', text, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/raptor', 'gzip', undefined, 'raptor', ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/1.txt', 200, { 'vary': 'Accept-Encoding' }, ifSuccess, always);
+    });
+
+    it('can be turned off', function(done) {
+      let server = compressServe({ noCompression: true });
+      let rexes = JSON.stringify(_.range(500).map((i) => 'rex ' + i));
+
+      let always = () => server.close();
+      encodingAssert('http://127.0.0.1:2314/rexes', 'gzip, br', undefined, rexes, done, always);
+    });
+  });
+
+  describe('precompressed files', function() {
+    it('sends the sibling the client prefers with the original content type', function(done) {
+      let server = settingsServe({
+        precompressed: true,
+        paths: { '': [path.join(__dirname, 'samples/2'), path.join(__dirname, 'samples/4')] }
+      });
+      let text = "console.log('rex');";
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      encodingAssert('http://127.0.0.1:2314/app.js', 'gzip, br', 'br', text, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/app.js', 'gzip', 'gzip', text, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/app.js', 'br;q=0.1, gzip;q=0.5', 'gzip', text, ifSuccess, always);
+      encodingAssert('http://127.0.0.1:2314/app.js', 'deflate', undefined, text, ifSuccess, always);
+      headersAssert({ url: 'http://127.0.0.1:2314/app.js', headers: { 'Accept-Encoding': 'br' } }, 200,
+        { 'Content-Type': 'application/javascript', 'Content-Encoding': 'br', 'Vary': 'Accept-Encoding' }, ifSuccess, always);
+    });
+
+    it('only uses siblings from the folder the file was found in', function(done) {
+      let server = settingsServe({
+        precompressed: true,
+        paths: { '': [path.join(__dirname, 'samples/1'), path.join(__dirname, 'samples/4')] }
+      });
+      encodingAssert('http://127.0.0.1:2314/1.txt', 'gzip', undefined, 'text 1 from file', done, () => server.close());
+    });
+  });
+
+  describe('conditional requests', function() {
+    function conditionalServe() {
+      let server = basicServe();
+      server.addRoute('GET', '/rex', (request, response) => response.ok().content('tyrannosaurus rex', 'text/plain'));
+      server.notFoundDefault(path.join(__dirname, 'samples/1/not-found.txt'));
+      return server;
+    }
+
+    it('answers matching validators with not modified', function(done) {
+      let server = conditionalServe();
+
+      request('http://127.0.0.1:2314/rex', function(error, response) {
+        let etag = response.headers['etag'];
+        assert(etag, "Expected an ETag.");
+        assert.equal('17', response.headers['content-length']);
+
+        request('http://127.0.0.1:2314/', function(error, response) {
+          let lastModified = response.headers['last-modified'];
+          assert(lastModified, "Expected a Last-Modified header for injected html.");
+
+          let ifSuccess = _.after(4, done);
+          let always = _.after(4, () => server.close());
+
+          responseAssert({ url: 'http://127.0.0.1:2314/rex', headers: { 'If-None-Match': etag } }, 304, function(response, body) {
+            assert.equal('', body);
+          }, ifSuccess, always);
+          responseAssert({ url: 'http://127.0.0.1:2314/rex', headers: { 'If-None-Match': '"raptor"' } }, 200, function(response, body) {
+            assert.equal('tyrannosaurus rex', body);
+          }, ifSuccess, always);
+          responseAssert({ url: 'http://127.0.0.1:2314/', headers: { 'If-Modified-Since': lastModified } }, 304, function(response) {
+          }, ifSuccess, always);
+          responseAssert({ url: 'http://127.0.0.1:2314/missing', headers: { 'If-None-Match': '*' } }, 404, function(response, body) {
+            assert(response.headers['etag'], "Expected an ETag on the not found file.");
+            assert(response.headers['last-modified'], "Expected a Last-Modified header on the not found file.");
+            assert.equal(fs.readFileSync(path.join(__dirname, 'samples/1/not-found.txt'), 'utf8'), body);
+          }, ifSuccess, always);
+        });
+      });
+    });
+
+    it('sends the range that was asked for', function(done) {
+      let server = conditionalServe();
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      responseAssert({ url: 'http://127.0.0.1:2314/rex', headers: { 'Range': 'bytes=14-' } }, 206, function(response, body) {
+        assert.equal('bytes 14-16/17', response.headers['content-range']);
+        assert.equal('rex', body);
+      }, ifSuccess, always);
+      responseAssert({ url: 'http://127.0.0.1:2314/rex', headers: { 'Range': 'bytes=100-' } }, 416, function(response) {
+        assert.equal('bytes */17', response.headers['content-range']);
+      }, ifSuccess, always);
+      responseAssert({ url: 'http://127.0.0.1:2314/rex', headers: { 'Range': 'bytes=0-3', 'If-Range': '"raptor"' } }, 200, function(response, body) {
+        assert.equal('tyrannosaurus rex', body);
+      }, ifSuccess, always);
+      responseAssert({ url: 'http://127.0.0.1:2314/', headers: { 'Range': 'bytes=0-8' } }, 206, function(response, body) {
+        assert.equal('<!DOCTYPE', body);
+      }, ifSuccess, always);
+    });
+  });
+
+  describe('cookies', function() {
+    function cookieServe() {
+      let server = settingsServe({ cookieSecret: ['new secret', 'old secret'] });
+      server.addRoute('GET', '/cookies', (request, response) => response.ok().data({
+        cookies: request.cookies,
+        signedCookies: request.signedCookies
+      }));
+      server.addRoute('GET', '/set', function(request, response) {
+        response.setCookie('dinosaur', 'rex & raptor', { maxAge: 3600, httpOnly: true, sameSite: 'lax' });
+        response.setCookie('egg', 'hatched', { signed: true, path: '/nest', secure: true, sameSite: 'None' });
+        response.clearCookie('fossil', { domain: 'example.com' });
+        response.ok().content('', 'text/plain');
+      });
+      return server;
+    }
+
+    it('parses cookies and checks signed cookies', function(done) {
+      let server = cookieServe();
+      let crypto = require('crypto');
+      let sign = (value, secret) => 's:' + value + '.' + crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '');
+
+      let cookie = 'dinosaur=rex%20%26%20raptor; egg=' + encodeURIComponent(sign('hatched', 'old secret')) +
+        '; forged=' + encodeURIComponent(sign('hatched', 'wrong secret')) + '; quoted="yes"';
+
+      request({ url: 'http://127.0.0.1:2314/cookies', headers: { 'Cookie': cookie }, json: true }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.deepEqual({ dinosaur: 'rex & raptor', quoted: 'yes' }, body.cookies);
+          assert.deepEqual({ egg: 'hatched' }, body.signedCookies);
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('sets and clears cookies with attributes', function(done) {
+      let server = cookieServe();
+
+      request('http://127.0.0.1:2314/set', function(error, response) {
+        try {
+          assert.equal(null, error);
+
+          let setCookies = response.headers['set-cookie'];
+          assert.equal(3, setCookies.length);
+          assert.equal('dinosaur=rex%20%26%20raptor; Max-Age=3600; Path=/; HttpOnly; SameSite=Lax', setCookies[0]);
+          assert(/^egg=s%3Ahatched\.[^;]+; Path=\/nest; Secure; SameSite=None$/.test(setCookies[1]), setCookies[1]);
+          assert.equal('fossil=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Domain=example.com; Path=/', setCookies[2]);
+
+          // The signed cookie comes back as it was
+          let egg = setCookies[1].split(';')[0];
+          request({ url: 'http://127.0.0.1:2314/cookies', headers: { 'Cookie': egg }, json: true }, function(error, response, body) {
+            try {
+              assert.deepEqual({ egg: 'hatched' }, body.signedCookies);
+              done();
+            }
+            finally {
+              server.close();
+            }
+          });
+        }
+        catch (error) {
+          server.close();
+          throw error;
+        }
+      });
+    });
+
+    it('throws for invalid cookies', function() {
+      let response = { headers: {}, getHeader: function(name) { return this.headers[name]; }, setHeader: function(name, value) { this.headers[name] = value; } };
+      let cookies = require('../cookies.js');
+
+      assert.throws(() => cookies.setCookie(response, 'bad name', 'value'), /Invalid cookie name/);
+      assert.throws(() => cookies.setCookie(response, 'egg', 'value', { sameSite: 'None' }), /must be secure/);
+      assert.throws(() => cookies.setCookie(response, 'egg', 'value', { signed: true }), /secret is required/);
+      assert.throws(() => cookies.setCookie(response, 'egg', 'value', { path: '/; Domain=evil.com' }), /Invalid path/);
+    });
+  });
+
+  describe('sessions', function() {
+    function sessionServe(settings) {
+      let server = settingsServe(_.extend({ sessions: true }, settings));
+      server.addRoute('GET', '/visit', function(request, response) {
+        request.session.visits = (request.session.visits || 0) + 1;
+        response.ok().data({ visits: request.session.visits });
+      });
+      server.addRoute('GET', '/peek', (request, response) => response.ok().data(request.session));
+      server.addRoute('POST', '/login', function(request, response) {
+        request.session.regenerate();
+        request.session.user = 'rex';
+        response.ok().data({ id: request.session.id });
+      });
+      server.addRoute('POST', '/logout', function(request, response) {
+        request.session.destroy();
+        response.ok().data({});
+      });
+      return server;
+    }
+
+    // Connections aren't kept alive since they would be reused after the server restarts
+    function jsonRequest(method, requestUrl, jar, callback) {
+      let options = { method: method, url: requestUrl, jar: jar, json: true, headers: { 'Connection': 'close' } };
+      request(options, function(error, response, body) {
+        assert.equal(null, error);
+        callback(response, body);
+      });
+    }
+
+    it('keeps data between requests', function(done) {
+      let server = sessionServe();
+      let jar = request.jar();
+
+      jsonRequest('GET', 'http://127.0.0.1:2314/peek', jar, function(response) {
+        try {
+          assert.equal(undefined, response.headers['set-cookie'], "Empty sessions shouldn't set a cookie.");
+        }
+        catch (error) {
+          server.close();
+          throw error;
+        }
+
+        jsonRequest('GET', 'http://127.0.0.1:2314/visit', jar, function(response) {
+          try {
+            assert(/^tyranno\.sid=[0-9a-f]{48}; Max-Age=86400; Path=\/; HttpOnly; SameSite=Lax$/.test(response.headers['set-cookie'][0]));
+          }
+          catch (error) {
+            server.close();
+            throw error;
+          }
+
+          jsonRequest('GET', 'http://127.0.0.1:2314/visit', jar, function(response, body) {
+            try {
+              assert.deepEqual({ visits: 2 }, body);
+              done();
+            }
+            finally {
+              server.close();
+            }
+          });
+        });
+      });
+    });
+
+    it('regenerates and destroys sessions', function(done) {
+      let server = sessionServe({ cookieSecret: 'raptor' });
+      let jar = request.jar();
+
+      jsonRequest('GET', 'http://127.0.0.1:2314/visit', jar, function() {
+        let oldCookie = jar.getCookieString('http://127.0.0.1:2314/');
+
+        jsonRequest('POST', 'http://127.0.0.1:2314/login', jar, function() {
+          let oldJar = request.jar();
+          oldJar.setCookie(oldCookie, 'http://127.0.0.1:2314/');
+
+          jsonRequest('GET', 'http://127.0.0.1:2314/peek', oldJar, function(response, oldBody) {
+            jsonRequest('GET', 'http://127.0.0.1:2314/peek', jar, function(response, body) {
+              jsonRequest('POST', 'http://127.0.0.1:2314/logout', jar, function(response) {
+                jsonRequest('GET', 'http://127.0.0.1:2314/peek', jar, function(response, loggedOutBody) {
+                  try {
+                    assert.deepEqual({}, oldBody, "The old session should be gone.");
+                    assert.deepEqual({ user: 'rex' }, body);
+                    assert.deepEqual({}, loggedOutBody);
+                    done();
+                  }
+                  finally {
+                    server.close();
+                  }
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('keeps sessions in files across restarts', function(done) {
+      let directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'tyranno-sessions-'));
+      let jar = request.jar();
+      let cleanUp = function() {
+        fs.readdirSync(directory).forEach((file) => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+      };
+
+      let server = sessionServe({ sessions: false, sessionDirectory: directory });
+      jsonRequest('GET', 'http://127.0.0.1:2314/visit', jar, function() {
+        server.close(function() {
+          let restarted = sessionServe({ sessions: false, sessionDirectory: directory });
+          jsonRequest('GET', 'http://127.0.0.1:2314/visit', jar, function(response, body) {
+            restarted.close(function() {
+              try {
+                assert.deepEqual({ visits: 2 }, body);
+                done();
+              }
+              finally {
+                cleanUp();
+              }
+            });
+          });
+        });
+      });
+    });
+
+    it('forgets expired sessions', function(done) {
+      let store = new TyrannoServe.MemoryStore();
+      store.set('rex', { name: 'rex' }, Date.now() - 1, function() {
+        store.get('rex', function(err, data) {
+          store.close(function() {
+            assert.equal(null, err);
+            assert.equal(null, data);
+            done();
+          });
+        });
+      });
+    });
+
+    it('removes the files of expired sessions when a file store starts', function(done) {
+      let directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'tyranno-sessions-'));
+      let expiredId = 'a'.repeat(48);
+      let liveId = 'b'.repeat(48);
+      fs.writeFileSync(path.join(directory, expiredId + '.json'), JSON.stringify({ expires: Date.now() - 1, data: {} }));
+      fs.writeFileSync(path.join(directory, liveId + '.json'), JSON.stringify({ expires: Date.now() + 60000, data: {} }));
+
+      let store = new TyrannoServe.FileStore(directory);
+      store.close(function() {
+        let files = fs.readdirSync(directory);
+        files.forEach((file) => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+
+        assert.deepEqual([liveId + '.json'], files);
+        done();
+      });
+    });
+  });
+
+  describe('rendering', function() {
+    function renderServe(settings) {
+      let server = settingsServe(_.extend({ views: path.join(__dirname, 'samples/views') }, settings));
+      server.engine('shout', function(templatePath, data, callback) {
+        fs.readFile(templatePath, 'utf8', (err, template) => callback(err, err ? null : template.replace('{{name}}', data.name).toUpperCase()));
+      });
+      server.addRoute('GET', '/profile', (request, response) => response.ok().render('users/profile', {
+        title: 'Rex <3',
+        user: { name: 'rex' },
+        badge: '<b>king</b>'
+      }));
+      server.addRoute('GET', '/roar', (request, response) => response.ok().render('roar.shout', { name: 'raptor' }));
+      server.addRoute('GET', '/missing', (request, response) => response.ok().render('missing', {}));
+      server.addRoute('GET', '/escape', (request, response) => response.ok().render('../1/index.html', {}));
+      return server;
+    }
+
+    it('renders templates with the engine for their extension', function(done) {
+      let server = renderServe({ noListen: true });
+      server.addListener('error', () => { });
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/profile', 200, '<html><body><h1>Rex &lt;3</h1><p>rex <b>king</b></p></body></html>', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/roar', 200, 'RAWR, RAPTOR!', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/missing', 500, 'Internal server error.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/escape', 500, 'Internal server error.', ifSuccess, always);
+    });
+
+    it('injects the live reload code into rendered html', function(done) {
+      let server = renderServe();
+
+      request('http://127.0.0.1:2314/profile', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal('text/html', response.headers['content-type']);
+          assert(body.indexOf('Live reload enabled.') != -1, "Expected the live reload code.");
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+  });
+
+  describe('autoindex', function() {
+    it('lists a directory without an index.html as html', function(done) {
+      let server = settingsServe({ autoindex: true, paths: { '': [path.join(__dirname, 'samples')] } });
+
+      request('http://127.0.0.1:2314/', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.equal('text/html', response.headers['content-type'].split(';')[0]);
+          assert.notEqual(-1, body.indexOf('<a href="/views/">views/</a>'));
+          assert.notEqual(-1, body.indexOf('<a href="/path-fallback.json">path-fallback.json</a>'));
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('merges the fallback directories and leaves out hidden files in json', function(done) {
+      let server = settingsServe({ autoindex: true, paths: { '': [path.join(__dirname, 'samples/4'), path.join(__dirname, 'samples/2')] } });
+
+      let options = { url: 'http://127.0.0.1:2314/', headers: { 'Accept': 'application/json' }, json: true };
+      request(options, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.deepEqual(['1.txt.gz', '2.txt', 'app.js', 'app.js.br', 'app.js.gz', 'be-awesome.html'], _.pluck(body, 'name'));
+          let entry = _.findWhere(body, { name: '2.txt' });
+          assert.equal('file', entry.type);
+          assert.equal(fs.statSync(path.join(__dirname, 'samples/2/2.txt')).size, entry.size);
+          assert.ok(!isNaN(Date.parse(entry.mtime)));
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('links to the entries from the path the directory was found with', function(done) {
+      let server = settingsServe({ autoindex: true, paths: { 'files': [path.join(__dirname, 'samples')] } });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      responseAssert('http://127.0.0.1:2314/files/%76iews//users/', 200, function(response, body) {
+        assert.notEqual(-1, body.indexOf('<title>Index of /files/views/users/</title>'));
+        assert.notEqual(-1, body.indexOf('<a href="/files/views/">../</a>'));
+        assert.notEqual(-1, body.indexOf('<a href="/files/views/users/profile.html">profile.html</a>'));
+      }, ifSuccess, always);
+      responseAssert('http://127.0.0.1:2314/files/3/', 200, function(response, body) {
+        assert.notEqual(-1, body.indexOf('<a href="/files/3/cute%20monster%23.txt">cute monster#.txt</a>'));
+      }, ifSuccess, always);
+    });
+
+    it('serves an index.html from a fallback directory instead of listing', function(done) {
+      let server = settingsServe({ autoindex: true, paths: { '': [path.join(__dirname, 'samples/4'), path.join(__dirname, 'samples/1')] } });
+
+      request('http://127.0.0.1:2314/', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.equal(-1, body.indexOf('Index of'));
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('is off by default', function(done) {
+      let server = basicServe({ '': path.join(__dirname, 'samples/4') });
+      requestAssert('http://127.0.0.1:2314/', 404, 'Not found.', done, () => server.close());
+    });
+  });
+
+  describe('single page apps', function() {
+    function pageAssert(requestUrl, accept, expectedStatusCode, expectedText, ifSuccess, always) {
+      request({ url: requestUrl, headers: { 'Accept': accept } }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+          assert.notEqual(-1, body.indexOf(expectedText), "Invalid body for '" + requestUrl + "'.");
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    }
+
+    it('serves the index file for pages that are not found', function(done) {
+      let server = settingsServe({ spa: true, paths: { '': path.join(__dirname, 'samples/1') } });
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      pageAssert('http://127.0.0.1:2314/users/42', 'text/html,application/xhtml+xml,*/*;q=0.8', 200, 'Sample 1.', ifSuccess, always);
+      pageAssert('http://127.0.0.1:2314/1.txt', 'text/html', 200, 'text 1 from file', ifSuccess, always);
+      pageAssert('http://127.0.0.1:2314/missing.js', 'text/html', 404, 'Not found.', ifSuccess, always);
+      pageAssert('http://127.0.0.1:2314/users/42', 'application/json', 404, 'Not found.', ifSuccess, always);
+    });
+
+    it('looks for the index file in the fallback paths', function(done) {
+      let server = settingsServe({
+        spa: 'be-awesome.html',
+        paths: { '': [path.join(__dirname, 'samples/1'), path.join(__dirname, 'samples/2')] }
+      });
+      pageAssert('http://127.0.0.1:2314/users/42', 'text/html', 200, 'Be Awesome', done, () => server.close());
+    });
+
+    it('can be set for each url path', function(done) {
+      let server = settingsServe({
+        spa: { '/app/': 'index.html' },
+        paths: { '': path.join(__dirname, 'samples/2'), 'app': path.join(__dirname, 'samples/1') }
+      });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      pageAssert('http://127.0.0.1:2314/app/users/42', 'text/html', 200, 'Sample 1.', ifSuccess, always);
+      pageAssert('http://127.0.0.1:2314/users/42', 'text/html', 404, 'Not found.', ifSuccess, always);
+    });
+
+    it('leaves not found from routes alone', function(done) {
+      let server = settingsServe({ spa: true, paths: { '': path.join(__dirname, 'samples/1') } });
+      server.addRoute('GET', 'api/users/:userId', (request, response) => response.notFound().doDefault());
+      pageAssert('http://127.0.0.1:2314/api/users/42', 'text/html', 404, 'Not found.', done, () => server.close());
+    });
+  });
+
+  describe('rewrites and redirects', function() {
+    function rulesServe() {
+      let server = settingsServe({
+        paths: { '': path.join(__dirname, 'samples/1') },
+        redirects: [
+          { from: '/old/:id<int>', to: '/new/:id' },
+          { from: '/moved/::rest', to: 'http://example.com/::rest', status: 307 },
+          { from: '/legacy', to: '/1.txt', headers: { 'X-Legacy': 'yes' } },
+          { from: '/go/::rest', to: '/::rest' }
+        ],
+        rewrites: [
+          { from: '/files/::file', to: '/::file' },
+          { from: '/products/:productId', to: '/items/:productId?from=products', method: 'GET' }
+        ]
+      });
+      server.addRoute('GET', 'items/:itemId', function(request, response) {
+        response.ok().data({ itemId: request.routeParams.itemId, query: request.query, originalUrl: request.originalUrl });
+      });
+      return server;
+    }
+
+    it('redirects with the route variables filled in', function(done) {
+      let server = rulesServe();
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      redirectAssert('http://127.0.0.1:2314/old/12?page=2', {}, 301, '/new/12?page=2', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/old/abc', {}, 404, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/moved/a/b%20c', {}, 307, 'http://example.com/a/b%20c', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/legacy', { 'X-Legacy': 'yes' }, 301, '/1.txt', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/legacy', {}, 404, undefined, ifSuccess, always);
+    });
+
+    it('keeps redirects to a path on this site', function(done) {
+      let server = rulesServe();
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      redirectAssert('http://127.0.0.1:2314/go/1.txt', {}, 301, '/1.txt', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/go//example.com', {}, 301, '/example.com', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/go/%2f%2fexample.com', {}, 301, '/example.com', ifSuccess, always);
+    });
+
+    it('rewrites before routing', function(done) {
+      let server = rulesServe();
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/files/1.txt', 200, "text 1 from file", ifSuccess, always);
+
+      request({ url: 'http://127.0.0.1:2314/products/7?color=red', json: true }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.deepEqual({ itemId: '7', query: { from: 'products', color: 'red' }, originalUrl: '/products/7?color=red' }, body);
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+
+      request({ url: 'http://127.0.0.1:2314/products/7', method: 'POST' }, function(error, response) {
+        try {
+          assert.equal(null, error);
+          // Not rewritten, so it's the static path, which only has GET
+          assert.equal(405, response.statusCode);
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    });
+
+    it('throws on invalid rules', function() {
+      let settings = { quiet: true, noBrowser: true, paths: {} };
+      assert.throws(() => new TyrannoServe(_.extend({ redirects: [{ from: '/a' }] }, settings)), /must have from and to/);
+      assert.throws(() => new TyrannoServe(_.extend({ redirects: [{ from: '/a', to: '/b', status: 200 }] }, settings)), /invalid status/);
+      assert.throws(() => new TyrannoServe(_.extend({ rewrites: [{ from: '/a', to: 'http://example.com' }] }, settings)), /starting with \//);
+      assert.throws(() => new TyrannoServe(_.extend({ rewrites: [{ from: '/::a/b', to: '/b' }] }, settings)), /isn't last/);
+    });
+  });
+
+  describe('header rules', function() {
+    function headersServe(settings) {
+      let server = settingsServe(_.extend({ paths: { '': path.join(__dirname, 'samples/1') } }, settings));
+      server.addRoute('GET', 'api/things', (request, response) => response.ok().data([]));
+      server.addRoute('GET', 'api/private', function(request, response) {
+        response.setHeader('Cache-Control', 'private');
+        response.ok().data({});
+      });
+      return server;
+    }
+
+    it('adds headers by glob and path to files and routes', function(done) {
+      let server = headersServe({
+        headers: {
+          '/': { 'X-Dinosaur': 'rex' },
+          '**.txt': { 'Cache-Control': 'immutable' },
+          'api': { 'Cache-Control': 'no-store' }
+        }
+      });
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      headersAssert('http://127.0.0.1:2314/1.txt', 200,
+        { 'X-Dinosaur': 'rex', 'Cache-Control': 'public, max-age=31536000, immutable' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/index.html', 200,
+        { 'X-Dinosaur': 'rex', 'Cache-Control': undefined }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/api/things', 200, { 'Cache-Control': 'no-store' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/api/private', 200, { 'Cache-Control': 'private' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/missing.txt', 404, { 'X-Dinosaur': 'rex', 'Cache-Control': undefined }, ifSuccess, always);
+    });
+
+    it('adds headers from the command line shortcuts', function(done) {
+      let server = headersServe({
+        header: ['X-Dinosaur: rex', '/api=X-Api: yes'],
+        immutable: ['/1.txt'],
+        noStore: ['*.html']
+      });
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      headersAssert('http://127.0.0.1:2314/1.txt', 200,
+        { 'X-Dinosaur': 'rex', 'X-Api': undefined, 'Cache-Control': 'public, max-age=31536000, immutable' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/index.html', 200, { 'Cache-Control': 'no-store' }, ifSuccess, always);
+      headersAssert('http://127.0.0.1:2314/api/things', 200, { 'X-Dinosaur': 'rex', 'X-Api': 'yes' }, ifSuccess, always);
+    });
+  });
+
+  describe('clean urls and trailing slashes', function() {
+    var paths = { '': [path.join(__dirname, 'samples/1'), path.join(__dirname, 'samples/2')] };
+
+    it('serves pages without their .html from any fallback', function(done) {
+      let server = settingsServe({ cleanUrls: true, paths: paths });
+
+      let ifSuccess = _.after(6, done);
+      let always = _.after(6, () => server.close());
+
+      request('http://127.0.0.1:2314/be-awesome', function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.notEqual(-1, body.indexOf('<title>Be Awesome</title>'));
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+      redirectAssert('http://127.0.0.1:2314/be-awesome.html', {}, 301, '/be-awesome', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/be-awesome.html?tiny=arms', {}, 301, '/be-awesome?tiny=arms', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/index.html', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/1.txt', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/nope', {}, 404, undefined, ifSuccess, always);
+    });
+
+    it('strips trailing slashes', function(done) {
+      let server = settingsServe({ cleanUrls: true, trailingSlash: 'strip', paths: paths });
+
+      let ifSuccess = _.after(5, done);
+      let always = _.after(5, () => server.close());
+
+      redirectAssert('http://127.0.0.1:2314/be-awesome/?a=b', {}, 301, '/be-awesome?a=b', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/be-awesome', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314//', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314//example.com/', {}, 301, '/example.com', ifSuccess, always);
+    });
+
+    it('adds trailing slashes to paths without an extension', function(done) {
+      let server = settingsServe({ cleanUrls: true, trailingSlash: 'add', paths: paths });
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      redirectAssert('http://127.0.0.1:2314/be-awesome', {}, 301, '/be-awesome/', ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/be-awesome/', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/1.txt', {}, 200, undefined, ifSuccess, always);
+      redirectAssert('http://127.0.0.1:2314/1.txt/', {}, 301, '/1.txt', ifSuccess, always);
+    });
+
+    it('throws on an unknown trailing slash policy', function() {
+      assert.throws(() => new TyrannoServe({ quiet: true, noBrowser: true, paths: {}, trailingSlash: 'sometimes' }), /Trailing slash/);
+    });
+  });
+
+  describe('static path policies', function() {
+    var directory;
+    var root;
+
+    before(function() {
+      directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'tyranno-policies-'));
+      root = path.join(directory, 'public');
+      fs.mkdirSync(root);
+      fs.writeFileSync(path.join(root, 'page.txt'), 'page');
+      fs.writeFileSync(path.join(root, '.env'), 'SECRET=rawr');
+      fs.writeFileSync(path.join(directory, 'secret.txt'), 'secret');
+      fs.symlinkSync(path.join(root, 'page.txt'), path.join(root, 'inside.txt'));
+      fs.symlinkSync(path.join(directory, 'secret.txt'), path.join(root, 'outside.txt'));
+      fs.writeFileSync(path.join(root, 'app.js'), 'app');
+      fs.symlinkSync(path.join(directory, 'secret.txt'), path.join(root, 'app.js.gz'));
+      fs.symlinkSync('loop.txt', path.join(root, 'loop.txt'));
+    });
+
+    after(function() {
+      ['page.txt', '.env', 'inside.txt', 'outside.txt', 'app.js', 'app.js.gz', 'loop.txt'].forEach((file) => fs.unlinkSync(path.join(root, file)));
+      fs.rmdirSync(root);
+      fs.unlinkSync(path.join(directory, 'secret.txt'));
+      fs.rmdirSync(directory);
+    });
+
+    // Sends the path exactly as it is, since request (like a browser) would resolve the dots itself.
+    function rawAssert(rawPath, expectedStatusCode, ifSuccess, always) {
+      http.get({ hostname: '127.0.0.1', port: 2314, path: rawPath, agent: false }, function(response) {
+        response.resume();
+        try {
+          assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + rawPath + "'.");
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      }).on('error', function(error) {
+        always();
+        throw error;
+      });
+    }
+
+    it('keeps paths in the static path', function(done) {
+      let server = settingsServe({ paths: { '': root } });
+
+      let ifSuccess = _.after(6, done);
+      let always = _.after(6, () => server.close());
+
+      rawAssert('/page.txt', 200, ifSuccess, always);
+      rawAssert('/../secret.txt', 403, ifSuccess, always);
+      rawAssert('/%2e%2e/secret.txt', 403, ifSuccess, always);
+      rawAssert('/%2E%2E%2Fsecret.txt', 403, ifSuccess, always);
+      rawAssert('/sub/..%2f..%2fsecret.txt', 403, ifSuccess, always);
+      rawAssert('/page.txt%00.html', 400, ifSuccess, always);
+    });
+
+    it('ignores dotfiles by default', function(done) {
+      let server = settingsServe({ paths: { '': root } });
+      requestAssert('http://127.0.0.1:2314/.env', 404, 'Not found.', done, () => server.close());
+    });
+
+    it('denies dotfiles', function(done) {
+      let server = settingsServe({ dotfiles: 'deny', paths: { '': root } });
+      requestAssert('http://127.0.0.1:2314/%2eenv', 403, 'Forbidden.', done, () => server.close());
+    });
+
+    it('allows dotfiles', function(done) {
+      let server = settingsServe({ dotfiles: 'allow', paths: { '': root } });
+      requestAssert('http://127.0.0.1:2314/.env', 200, 'SECRET=rawr', done, () => server.close());
+    });
+
+    it('follows symlinks within the root', function(done) {
+      let server = settingsServe({ symlinks: 'follow-within-root', paths: { '': root } });
+
+      let ifSuccess = _.after(3, done);
+      let always = _.after(3, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/page.txt', 200, 'page', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/inside.txt', 200, 'page', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/outside.txt', 403, 'Forbidden.', ifSuccess, always);
+    });
+
+    it('denies symlinks', function(done) {
+      let server = settingsServe({ symlinks: 'deny', paths: { '': root } });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/page.txt', 200, 'page', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/inside.txt', 403, 'Forbidden.', ifSuccess, always);
+    });
+
+    it('skips precompressed siblings that are denied symlinks', function(done) {
+      let server = settingsServe({ symlinks: 'deny', precompressed: true, paths: { '': root } });
+
+      request({ url: 'http://127.0.0.1:2314/app.js', headers: { 'Accept-Encoding': 'gzip' } }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.equal(undefined, response.headers['content-encoding']);
+          assert.equal('app', body);
+          done();
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('sends not found only for missing files and an internal server error for other file errors', function(done) {
+      let server = settingsServe({ paths: { '': root } });
+      let errors = [];
+      server.addListener('error', (error) => errors.push(error.code));
+      server.addRoute('GET', 'loop', (request, response) => response.ok().file(path.join(root, 'loop.txt')));
+
+      let ifSuccess = _.after(4, function() {
+        assert.deepEqual(['ELOOP', 'ELOOP'], errors);
+        done();
+      });
+      let always = _.after(4, () => server.close());
+
+      requestAssert('http://127.0.0.1:2314/missing.txt', 404, 'Not found.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/page.txt/more', 404, 'Not found.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/loop.txt', 500, 'Internal server error.', ifSuccess, always);
+      requestAssert('http://127.0.0.1:2314/loop', 500, 'Internal server error.', ifSuccess, always);
+    });
+
+    it('throws on unknown policies', function() {
+      assert.throws(() => new TyrannoServe({ quiet: true, noBrowser: true, paths: {}, dotfiles: 'maybe' }), /Dotfiles/);
+      assert.throws(() => new TyrannoServe({ quiet: true, noBrowser: true, paths: {}, symlinks: 'maybe' }), /Symlinks/);
+    });
+  });
+
+  describe('markdown', function() {
+    var paths = { '': path.join(__dirname, 'samples/5') };
+
+    it('renders markdown with a table of contents and live reload', function(done) {
+      let server = settingsServe({ markdown: true, paths: paths });
+
+      responseAssert('http://127.0.0.1:2314/guide.md', 200, function(response, body) {
+        assert.equal('text/html', response.headers['content-type'].split(';')[0]);
+        assert.notEqual(-1, body.indexOf('<title>Tyranno Guide</title>'));
+        assert.notEqual(-1, body.indexOf('<h2 id="roaring">Roaring</h2>'));
+        assert.notEqual(-1, body.indexOf('<h2 id="roaring-1">Roaring</h2>'));
+        assert.notEqual(-1, body.indexOf('<p>Loud &amp; proud.</p>'));
+        assert.notEqual(-1, body.indexOf('<li><a href="#roaring">Roaring</a><ul><li><a href="#volume-pitch">Volume &amp; &quot;Pitch&quot;</a></li></ul></li>'));
+        assert.notEqual(-1, body.indexOf(fs.readFileSync(path.join(__dirname, '../injected.html'), 'utf8')));
+      }, done, () => server.close());
+    });
+
+    it('shows html in the markdown as text', function(done) {
+      let server = settingsServe({ markdown: true, paths: paths });
+
+      responseAssert('http://127.0.0.1:2314/guide.md', 200, function(response, body) {
+        assert.equal(-1, body.indexOf('<script>roar()</script>'));
+        assert.notEqual(-1, body.indexOf('&lt;script&gt;roar()&lt;/script&gt;'));
+      }, done, () => server.close());
+    });
+
+    it('sends the source for ?raw', function(done) {
+      let server = settingsServe({ markdown: true, paths: paths });
+
+      responseAssert('http://127.0.0.1:2314/guide.md?raw', 200, function(response, body) {
+        assert.equal(fs.readFileSync(path.join(__dirname, 'samples/5/guide.md'), 'utf8'), body);
+      }, done, () => server.close());
+    });
+
+    it('uses the wrapper template', function(done) {
+      let server = settingsServe({ markdown: true, markdownTemplate: path.join(__dirname, 'samples/5/template.html'), paths: paths });
+
+      responseAssert('http://127.0.0.1:2314/guide.md', 200, function(response, body) {
+        assert.equal(0, body.indexOf('<html><head><title>Tyranno Guide</title></head><body><div class="toc"><ul><li>'));
+      }, done, () => server.close());
+    });
+
+    it('renders again when the file changes', function(done) {
+      let directory = fs.mkdtempSync(path.join(require('os').tmpdir(), 'tyranno-markdown-'));
+      let filePath = path.join(directory, 'notes.md');
+      fs.writeFileSync(filePath, '# First');
+
+      let server = settingsServe({ markdown: true, noListen: true, paths: { '': directory } });
+      let cleanUp = function() {
+        server.close();
+        fs.unlinkSync(filePath);
+        fs.rmdirSync(directory);
+      };
+
+      let rendered = false;
+      responseAssert('http://127.0.0.1:2314/notes.md', 200, function(response, body) {
+        assert.notEqual(-1, body.indexOf('<title>First</title>'));
+      }, function() {
+        rendered = true;
+        fs.writeFileSync(filePath, '# Second');
+        let later = new Date(Date.now() + 10000);
+        fs.utimesSync(filePath, later, later);
+
+        responseAssert('http://127.0.0.1:2314/notes.md', 200, function(response, body) {
+          assert.notEqual(-1, body.indexOf('<title>Second</title>'));
+        }, done, cleanUp);
+      }, () => rendered || cleanUp());
+    });
+
+    it('is off by default', function(done) {
+      let server = settingsServe({ paths: paths });
+
+      responseAssert('http://127.0.0.1:2314/guide.md', 200, function(response, body) {
+        assert.equal(-1, body.indexOf('<h1'));
+      }, done, () => server.close());
+    });
+  });
+
+  describe('request bodies', function() {
+    function echoServe(settings) {
+      let server = settingsServe(settings);
+      let echo = function(request, response) {
+        let type = Buffer.isBuffer(request.body) ? 'buffer' : typeof request.body;
+        response.ok().data({ type: type, body: Buffer.isBuffer(request.body) ? request.body.toString() : request.body });
+      };
+      ['POST', 'PUT', 'PATCH', 'DELETE'].forEach((method) => server.addRoute(method, '/echo', echo));
+      return server;
+    }
+
+    function bodyAssert(method, contentType, body, expectedStatusCode, expectedText, ifSuccess, always) {
+      let options = {
+        method: method,
+        url: 'http://127.0.0.1:2314/echo',
+        headers: { 'Content-Type': contentType },
+        body: body
+      };
+      request(options, function(error, response, responseBody) {
+        try {
+          assert.equal(null, error);
+          assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for " + contentType + ".");
+          assert.equal(expectedText, responseBody, "Invalid body for " + contentType + ".");
+          ifSuccess();
+        }
+        finally {
+          always();
+        }
+      });
+    }
+
+    it('parses bodies based on the content type', function(done) {
+      let server = echoServe();
+
+      let ifSuccess = _.after(4, done);
+      let always = _.after(4, () => server.close());
+
+      bodyAssert('POST', 'application/json', '{"a":1}', 200, '{"type":"object","body":{"a":1}}', ifSuccess, always);
+      bodyAssert('PUT', 'application/x-www-form-urlencoded', 'a=1&b=2', 200,
+        '{"type":"object","body":{"a":"1","b":"2"}}', ifSuccess, always);
+      bodyAssert('PATCH', 'text/plain; charset=utf-8', 'rawr', 200, '{"type":"string","body":"rawr"}', ifSuccess, always);
+      bodyAssert('DELETE', 'application/octet-stream', 'bytes', 200, '{"type":"buffer","body":"bytes"}', ifSuccess, always);
+    });
+
+    it('sends a bad request for malformed json', function(done) {
+      let server = echoServe();
+      let always = () => server.close();
+      bodyAssert('POST', 'application/json', '{"a":', 400, 'Bad request.', done, always);
+    });
+
+    it('sends payload too large when the body is bigger than the max body size', function(done) {
+      let server = echoServe({ maxBodySize: 10 });
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      bodyAssert('POST', 'text/plain', 'this is more than ten bytes', 413, 'Payload too large.', ifSuccess, always);
+      bodyAssert('POST', 'text/plain', 'short', 200, '{"type":"string","body":"short"}', ifSuccess, always);
+    });
+
+    it('streams multipart uploads to files and removes them after the response', function(done) {
+      let server = settingsServe();
+      let uploadPath;
+      server.addRoute('POST', '/upload', function(request, response) {
+        let file = request.files[0];
+        uploadPath = file.path;
+        response.ok().data({
+          fields: request.fields,
+          fieldName: file.fieldName,
+          name: file.name,
+          size: file.size,
+          contents: fs.readFileSync(file.path, 'utf8')
+        });
+      });
+
+      let formData = {
+        species: ['rex', 'raptor'],
+        fossil: { value: 'bones', options: { filename: 'fossil.txt', contentType: 'text/plain' } }
+      };
+      request.post({ url: 'http://127.0.0.1:2314/upload', formData: formData }, function(error, response, body) {
+        try {
+          assert.equal(null, error);
+          assert.equal(200, response.statusCode);
+          assert.deepEqual({
+            fields: { species: ['rex', 'raptor'] },
+            fieldName: 'fossil',
+            name: 'fossil.txt',
+            size: 5,
+            contents: 'bones'
+          }, JSON.parse(body));
+
+          setTimeout(function() {
+            assert.ok(!fs.existsSync(uploadPath), "Upload should have been removed.");
+            done();
+          }, 50);
+        }
+        finally {
+          server.close();
+        }
+      });
+    });
+
+    it('sends payload too large for uploads over the file limits', function(done) {
+      let server = settingsServe({ maxFileSize: 3, maxFiles: 1 });
+      server.addRoute('POST', '/upload', (request, response) => response.ok().data('uploaded'));
+
+      let ifSuccess = _.after(2, done);
+      let always = _.after(2, () => server.close());
+
+      let big = { fossil: { value: 'bones', options: { filename: 'fossil.txt' } } };
+      let many = {
+        first: { value: 'a', options: { filename: 'a.txt' } },
+        second: { value: 'b', options: { filename: 'b.txt' } }
+      };
+      [big, many].forEach(function(formData) {
+        request.post({ url: 'http://127.0.0.1:2314/upload', formData: formData }, function(error, response, body) {
+          try {
+            assert.equal(null, error);
+            assert.equal(413, response.statusCode);
+            assert.equal('Payload too large.', body);
+            ifSuccess();
+          }
+          finally {
+            always();
+          }
+        });
+      });
+    });
+  });
+});
+
+function basicServe(paths) {
+  if (!paths) {
+    paths = { '': path.join(__dirname, 'samples/1') };
+  }
+
+  return settingsServe({ paths: paths });
+}
+
+/**
+ * Starts a server on the test port that doesn't log or open a browser.
+ *
+ * @param {object} settings Any other settings the server should have
+ */
+function settingsServe(settings) {
+  let server = new TyrannoServe(_.extend({
+    port: 2314,
+    noBrowser: true,
+    quiet: true
+  }, settings));
+  server.listen();
+
+  return server;
+}
+
+/**
+ * Gets a callback for request that asserts the response status code is correct and
+ * that the text matches the expectation.
+ *
+ * @param {string} requestUrl Url to send the request to
+ * @param {int} Expected status code
+ * @param {string} expectedText The text that is expected. Note that equality is checked after both expected and actual are trimmed.
+ * @param {function} ifSuccess Method to call if request completes successfully
+ * @param {function} always Method to call no matter what
+ */
+function requestAssert(requestUrl, expectedStatusCode, expectedText, ifSuccess, always) {
+  request(requestUrl, onRequested);
+
+  function onRequested(error, response, body) {
+    try {
+      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
+      assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+      
+      // Vim enters extra newlines...not worth fixing
+      assert.equal(expectedText.trim(), body.trim(), "Invalid body for '" + requestUrl + "'.");
+
+      ifSuccess();
+    }
+    finally {
+      // Be sure to turn off the server even if there are failures, otherwise all other tests will fail.
+      always();
+    }
+  };
+}
+
+/**
+ * Gets a callback for request that asserts the response status code is correct, then passes the response and body to
+ * check, which can throw to fail the test.
+ *
+ * @param {string|object} requestOptions Url to send the request to, or the options for request
+ * @param {int} Expected status code
+ * @param {function} check Method to call with the response and body
+ * @param {function} ifSuccess Method to call if request completes successfully
+ * @param {function} always Method to call no matter what
+ */
+function responseAssert(requestOptions, expectedStatusCode, check, ifSuccess, always) {
+  let requestUrl = requestOptions.url || requestOptions;
+  request(requestOptions, onRequested);
+
+  function onRequested(error, response, body) {
+    try {
+      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
+      assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+      check(response, body);
+
+      ifSuccess();
+    }
+    finally {
+      always();
+    }
+  };
+}
+
+/**
+ * Gets a callback for request that asserts the response status code and headers are correct.
+ *
+ * @param {string|object} requestOptions Url to send the request to, or the options for request
+ * @param {int} Expected status code
+ * @param {object} expectedHeaders Header names to the values they should have, undefined for headers that should be missing
+ * @param {function} ifSuccess Method to call if request completes successfully
+ * @param {function} always Method to call no matter what
+ */
+function headersAssert(requestOptions, expectedStatusCode, expectedHeaders, ifSuccess, always) {
+  let requestUrl = requestOptions.url || requestOptions;
+  request(requestOptions, onRequested);
+
+  function onRequested(error, response) {
+    try {
+      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
+      assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+      _.forOwn(expectedHeaders, function(value, name) {
+        assert.equal(value, response.headers[name.toLowerCase()], "Invalid " + name + " for '" + requestUrl + "'.");
+      });
+
+      ifSuccess();
+    }
+    finally {
+      always();
+    }
+  };
+}
+
+/**
+ * Gets a callback for request that asserts the response is a redirect (or not) without following it.
+ *
+ * @param {string} requestUrl Url to send the request to
+ * @param {object} headers Headers to send with the request
+ * @param {int} Expected status code
+ * @param {string} expectedLocation The expected Location header, undefined if there shouldn't be one
+ * @param {function} ifSuccess Method to call if request completes successfully
+ * @param {function} always Method to call no matter what
+ */
+function redirectAssert(requestUrl, headers, expectedStatusCode, expectedLocation, ifSuccess, always) {
+  request({ url: requestUrl, headers: headers, followRedirect: false }, onRequested);
+
+  function onRequested(error, response) {
+    try {
+      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
+      assert.equal(expectedStatusCode, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+      assert.equal(expectedLocation, response.headers['location'], "Invalid location for '" + requestUrl + "'.");
+
+      ifSuccess();
+    }
+    finally {
+      always();
+    }
+  };
+}
+
+/**
+ * Gets a callback for request that asserts the response is sent with the right Content-Encoding and that the text
+ * matches the expectation once it's decoded.
+ *
+ * @param {string} requestUrl Url to send the request to
+ * @param {string} acceptEncoding The Accept-Encoding header to send
+ * @param {string} expectedEncoding The expected Content-Encoding (gzip or br), undefined if it shouldn't be encoded
+ * @param {string} expectedText The text that is expected. Note that equality is checked after the actual is trimmed.
+ * @param {function} ifSuccess Method to call if request completes successfully
+ * @param {function} always Method to call no matter what
+ */
+function encodingAssert(requestUrl, acceptEncoding, expectedEncoding, expectedText, ifSuccess, always) {
+  request({ url: requestUrl, headers: { 'Accept-Encoding': acceptEncoding }, encoding: null }, onRequested);
+
+  function onRequested(error, response, body) {
+    try {
+      assert.equal(null, error, "Request to '" + requestUrl + "' resulted in a non-null error: " + error);
+      assert.equal(200, response.statusCode, "Invalid status code for '" + requestUrl + "'.");
+      assert.equal(expectedEncoding, response.headers['content-encoding'], "Invalid encoding for '" + acceptEncoding + "'.");
+
+      if (expectedEncoding == 'gzip') {
+        body = zlib.gunzipSync(body);
+      }
+      else if (expectedEncoding == 'br') {
+        body = zlib.brotliDecompressSync(body);
+      }
+      assert.equal(expectedText, body.toString().trim(), "Invalid body for '" + requestUrl + "'.");
+
+      ifSuccess();
+    }
+    finally {
+      always();
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/*!
+ * trailing-slash
+ * MIT License
+ *
+ * This file redirects requests to the canonical form of their path according to the trailing slash policy.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var path = require('path');
+var url = require('url');
+
+/**
+ * Module constants.
+ * @private
+ */
+const POLICIES = new Set(['strip', 'add', 'ignore']);
+
+/**
+ * Checks the trailing slash setting, throwing if it isn't one of the policies.
+ *
+ * @param policy {string} The setting, which may be left out.
+ */
+function checkTrailingSlash(policy) {
+  if (policy != null && !POLICIES.has(policy)) {
+    throw new Error("Trailing slash must be one of: " + Array.from(POLICIES).join(', ') + ".");
+  }
+}
+
+/**
+ * Redirects GET and HEAD requests whose path isn't in the canonical form for the policy:
+ *   * strip: /docs/ goes to /docs.
+ *   * add: /docs goes to /docs/. Paths with an extension, like /app.js, are files and are left alone.
+ *   * ignore: Nothing is redirected, so /docs and /docs/ are the same. This is the default.
+ * The root, even when written with several slashes like //, is never redirected and the query string is kept.
+ *
+ * @param request The incoming http request.
+ * @param response The augmented response.
+ * @param policy {string} The trailing slash policy.
+ * @return {boolean} True if the request was redirected, and so is done.
+ */
+function redirectTrailingSlash(request, response, policy) {
+  if (!policy || policy == 'ignore' || (request.method != 'GET' && request.method != 'HEAD')) {
+    return false;
+  }
+
+  let parsedUrl = url.parse(request.url);
+  let pathname = parsedUrl.pathname || '/';
+  if (/^\/+$/.test(pathname)) {
+    return false;
+  }
+
+  let canonical = pathname.replace(/\/+$/, '');
+  if (policy == 'add' && !path.posix.extname(canonical)) {
+    canonical += '/';
+  }
+  if (canonical == pathname) {
+    return false;
+  }
+
+  // Leading slashes are collapsed so that //example.com/ can't become a redirect to another site
+  response.redirect(canonical.replace(/^\/+/, '/') + (parsedUrl.search || ''));
+  return true;
+}
+
+module.exports.checkTrailingSlash = checkTrailingSlash;
+module.exports.redirectTrailingSlash = redirectTrailingSlash;
@@ -1,510 +1,987 @@
-//!
-// tyranno-serve
-// MIT License
-//
-// This file provides the server class that can be used to host services with minimal set up for both static files and rest.
-
-'use strict';
-
-// Module dependencies.
-// @private
-var _ = require('lodash');
-var EventEmitter = require('events');
-var fs = require('fs');
-var http = require('http');
-var open = require('opn');
-var url = require('url');
-
-var tyrannoInput = require('./tyranno-input');
-var addStaticPaths = require('./add-static-paths.js');
-var serveFile = require('./serve-file.js');
-var FileWatcher = require('./file-watcher');
-
-// Module constants.
-// @private
-const METHODS = new Set(["GET", "POST", "PUT", "DELETE", "PATCH"]);
-const BODY_METHODS = new Set(["POST", "PUT"]);
-
-/**
- * Tyrannosaurus server. Does everything you want from a server. Defaults to a simple static server, but rest callbacks
- * can be added later.
- * @public
- */
-class TyrannoServe {
-  /**
-   * Constructs the tyranno serve. Can be constructed similarly to how it is used on the command line.
-   *
-   * @param input {string|object} Either a path to a json file to use for settings or an object of settings. Note
-   * that this parameter is optional.
-   */
-  constructor(input) {
-    var self = this;
-
-    this._settings = tyrannoInput.fromInput(input);
-    this.hostname = this._settings.hostname;
-    this.shouldListen = !this._settings.noListen
-
-    this._fileWatcher = new FileWatcher(this._settings.wait, this._settings.noListenPaths);
-
-    this._routes = {};
-
-    this._emitter = new EventEmitter();
-
-    for (let myUrl in this._settings.paths) {
-      let staticPaths = this._settings.paths[myUrl];
-      this.addPaths(myUrl, staticPaths);
-    }
-
-    if (this._settings.port) {
-      this.port = this._settings.port;
-    }
-
-    // util
-    this._responseAugmenter = new ResponseAugmenter(this);
-
-    let defaults = ['notFound', 'badRequest', 'internalServerError'];
-    defaults.forEach(function(def) {
-      if (self._settings[def]) {
-        self[def + 'Default'](self._settings[def]);
-      }
-    });
-  }
-
-  /**
-   * Adds a listener function to the given event name. Currently we only do close
-   * events, but we could add more.
-   *
-   * @param eventName {string} The name of the event.
-   * @param listener {function} The callback to be called when the event happens.
-   */
-  addListener(eventName, listener) {
-    this._emitter.addListener(eventName, listener);
-  }
-
-  /**
-   * Adds the given set of paths to the specified route. Note that if multiple static paths are specified they
-   * are treated as fallbacks.
-   *
-   * @param urlPath {string} The url path to listen on.
-   * @param staticPaths {string|array} The set of static paths that this url should map to. When multiple are
-   * specified, if a resource cannot be found in the first static path the next paths will be searched in
-   * order.
-   */
-  addPaths(urlPath, staticPaths) {
-    if (!_.isString(urlPath)) {
-      throw new Error("Url path must be a string.");
-    }
-    if (!_.isArray(staticPaths)) {
-      throw new Error("Static paths must be an array.");
-    }
-
-    urlPath = normalizePath(urlPath);
-    addStaticPaths(this, urlPath, staticPaths, this._fileWatcher);
-  }
-
-  /**
-   * Adds a route to the given method and path.
-   *
-   * @param method {string} The method. Should be GET, PUT, POST, DELETE, or PATCH.
-   *
-   * @param pathname {string} The path. In general, a path should be a series of strings with slashes between, but
-   * tyranno-serve also allows you to specify route variables by starting a folder with a colon. For example,
-   * /users/:userId/products/:productId would allow any string to be specified for the userId and productId. In
-   * addition, if you specify a path with two colons, it will consume all characters after including slashes (this
-   * is how the static file server works.).
-   * In general, multiple url definitions may conflict, (for example '/users/:userId' for getting user info but then
-   * '/users/:userId/products/:productId' for getting a user's product). Tyranno-Serve will try to find the most
-   * specific possible match for a particular url by matching folders. For example, if the user and product paths were
-   * specified and nothing else, if you looked for '/users/abc/products' it would come out with not found. This is
-   * because there was something specified under products but it required an id, and nothing was specified under
-   * just products. '/users/abc' and 'users/abc/products/def' would work as expected however.
-   *
-   * @param callback A callback function that takes a request and a response object. The request and response object
-   * are the same that would be received from the http.Server.listen command with some additions:
-   *   * The request object will have a routeParams variable added with the route parameters defined in the url.
-   *   * The response object will have extra methods ok, notFound, badRequest, internalServerError, and redirect. Please
-   *     see the response augmenter for information about these.
-   */
-  addRoute(method, pathname, callback) {
-    if (!_.isString(method) || !METHODS.has(method)) {
-      throw new Error("Method must be a string and one of these values: " + Array.from(METHODS).join(', ') + ".");
-    }
-    if (!_.isString(pathname)) {
-      throw new Error("Path must be a string");
-    }
-    if (!_.isFunction(callback)) {
-      throw new Error("Must provide a valid callback.");
-    }
-
-    pathname = normalizePath(pathname);
-    var stripped = pathname.replace(/[:\/]/g, '');
-    if (encodeURIComponent(stripped) != stripped) {
-      throw new Error("The pathname contains illegal characters: '" + pathname + "'.");
-    }
-
-    method = method.toUpperCase();
-    if (!METHODS.has(method)) {
-      throw new Error("Invalid method supplied.");
-    }
-
-    var pieces = getPieces(pathname, method);
-    var current = this._routes;
-    var hasDoubleColon = false;
-
-    pieces.forEach(function(piece) {
-      if (hasDoubleColon) {
-        throw new Error("Double colon variables must be final.");
-      }
-      if (piece.startsWith('::')) {
-        hasDoubleColon = true;
-      }
-
-      var otherPieces = _.omit(current, piece, '^callback');
-      var variablePieces = _.filter(otherPieces, isRouteVariable)
-      var constantPieces = _.filter(otherPieces, _.negate(isRouteVariable))
-
-      let variableLength = _.size(variablePieces);
-
-      if (isRouteVariable(piece)) {
-        if (variableLength > 1 || (variableLength == 1 && variablePieces[0] != piece)) {
-          let message = [
-            "A route cannot have more than one variable at any one location.",
-            " You already have '", variablePieces[0],
-            "' so you must rename variable '", piece,
-            "' to '", variablePieces[0], "'."
-          ].join('');
-          throw new Error(message);
-        }
-      }
-
-      if (current[piece] == null) {
-        current[piece] = {};
-      }
-      current = current[piece];
-    });
-
-    // ^ is an illegal character for uris, so by using this we force a unique, untaken
-    // string (i.e. what if the user picks /callback/ as their route?)
-    current['^callback'] = callback;
-  }
-
-  /**
-   * Serves a particular request for this server object. Does routing logic and adds
-   * utility functions to the request and response objects before they are passed
-   * into the callback registered for a particular route.
-   *
-   * @param request The incoming http request.
-   * @param response The response object to send data to.
-   */
-  serve(request, response) {
-    var pathname = url.parse(request.url).pathname;
-    pathname = normalizePath(pathname);
-    var method = request.method;
-    var pieces = getPieces(pathname, method);
-
-    var routeParams = {};
-
-    var current = this._routes;
-    var doubleColonPieces = [];
-
-    pieces.forEach(function(piece) {
-      if (current != null) {
-        if (_.has(current, piece)) {
-          current = current[piece];
-          return;
-        }
-
-        let variable = _.find(_.keys(current), isRouteVariable);
-        if (variable) {
-          if (variable.length > 1 && variable[1] == ':') {
-            // Note we don't modify current, this allows us to gobble up the rest
-            // of the url.
-            doubleColonPieces.push(piece);
-          }
-          else {
-            let name = variable.substring(1);
-            routeParams[name] = decodeURIComponent(piece);
-            current = current[variable];
-          }
-        }
-        else {
-          current = null;
-        }
-      }
-    });
-
-    let doubleColon = _.find(_.keys(current), (s) => s.startsWith('::'));
-    if (doubleColon) {
-      current = current[doubleColon];
-      let name = doubleColon.substring(2);
-      routeParams[name] = decodeURIComponent(doubleColonPieces.join('/'));
-    }
-
-    this._responseAugmenter.augment(request, response);
-    request.routeParams = routeParams;
-
-    if (_.has(current, '^callback')) {
-      if (BODY_METHODS.has(method)) {
-        var callback = function(body) {
-          request.body = body;
-          current['^callback'].call(null, request, response);
-        };
-        getBodyData(request, callback);
-      }
-      else {
-        current['^callback'].call(null, request, response);
-      }
-    }
-    else {
-      response.notFound().doDefault();
-    }
-  }
-
-  /**
-   * Actually starts listening for incoming requests.
-   *
-   * @param callback {function} A callback function for when listening has started.
-   */
-  listen(callback) {
-    if (!callback) {
-      callback = () => { };
-    }
-    else if (!_.isFunction(callback)) {
-      throw new Error("Callback must be a function or nothing.");
-    }
-
-    // If we don't wrap it we lose this
-    var self = this;
-    function serve(request, response) {
-      self.serve(request, response);
-    }
-
-    this._server = http.createServer(serve);
-
-    if (!this.port) {
-      this.port = 1024 + Math.floor(Math.random() * (65535 - 1024));
-    }
-
-    this._server.listen(this.port, this.hostname, 511, callback);
-
-    _.each(this._settings.open, function(pathname) {
-      open("http://127.0.0.1:" + self.port + "/" + normalizePath(pathname));
-    });
-
-    if (!this._settings.quiet) {
-      console.log("Serving at http://127.0.0.1:" + this.port);
-    }
-
-    this._fileWatcher.listenOn(this._server);
-  }
-
-  /**
-   * Turns off this server so that resources like ports and file watchers are released.
-   *
-   * @param callback {function} A callback function for when closing has started.
-   */
-  close(callback) {
-    this._server.close(callback);
-    this._emitter.emit('close');
-  }
-
-  /**
-   * Sets the default callback for not found.
-   *
-   * @param input {string|function} Either a string or a function. If it's a callback it is used directly. If it's
-   * a string it is treated as a filename. WARNING: because the fallback and path mechanism is incompatible with this
-   * this string must either be an absolute path or relative to the CWD. Otherwise it can't find it.
-   */
-  notFoundDefault(input) {
-    this._setDefault('notFoundDefault', 'notFound', input);
-  }
-
-
-  /**
-   * Sets the default callback for bad request.
-   *
-   * @param input {string|function} @see notFoundDefault.
-   */
-  badRequestDefault(input) {
-    this._setDefault('badRequestDefault', 'badRequest', input);
-  }
-
-  /**
-   * Sets the default callback for internal server error.
-   *
-   * @param input {string|function} @see notFoundDefault.
-   */
-  internalServerErrorDefault(input) {
-    this._setDefault('internalServerErrorDefault', 'internalServerError', input);
-  }
-
-  _setDefault(which, key, input) {
-    let callback = input;
-    if (_.isString(input)) {
-      // Be sure the file exists
-      fs.lstatSync(input);
-
-      callback = (response) => response[key]().file(input);
-    }
-    if (!_.isFunction(callback)) {
-      throw new Error("Must provide a vaid callback.");
-    }
-    this._responseAugmenter[which] = callback;
-  }
-}
-
-/**
- * The ResponseAugmenter is responsible for augmenting responses that come in throught the server with utility functions.
- */
-class ResponseAugmenter {
-  /**
-   * Constructs the augmenter with default values for notFound, badRequest, and internalServerError.
-   */
-  constructor(server) {
-    this._server = server;
-    this.notFoundDefault = (response) => response.notFound().content('Not found.', 'text/plain');
-    this.badRequestDefault = (response) => response.baRequest().content('Bad request.', 'text/plain');
-    this.internalServerErrorDefault = (response) => response.internalServerError().content('Internal server error.', 'text/plain');
-  }
-
-  /**
-   * Actually augments the response. The augmented functions are: ok, notFound, badRequest, internalServerError, and
-   * redirect. With the exception of redirect, all of these return a ResponseSender object. Redirect takes a redirectUrl
-   * string as an argument. NotFound, BadRequest, and InternalServerError all have defaults that can be set up.
-   *
-   * @param response The object to augment.
-   */
-  augment(request, response) {
-    response.ok = () => new ResponseSender(this._server, request, response, 200, null);
-    response.notFound = () => new ResponseSender(this._server, request, response, 404, this.notFoundDefault);
-    response.badRequest = () => new ResponseSender(this._server, request, response, 400, this.badRequestDefault);
-    response.internalServerError = () => new ResponseSender(this._server, request, response, 500, this.internalServerErrorDefault);
-    response.redirect = function redirect(redirectUrl) {
-      response.writeHead(301, { 'Location': redirectUrl });
-      response.end();
-    }
-    response.fromStatus = (statusCode) => new ResponseSender(this._server, request, response, statusCode, null);
-  }
-}
-
-/**
- * The ResponseSender is a utility class that allows you to easily send data with
- * a particular response code.
- */
-class ResponseSender {
-  /**
-   * Constructor.
-   *
-   * @param server {TyrannoServe} The server object; used for settings.
-   * @param request The request object to use
-   * @param response The response object to use.
-   * @param statusCode {number} The status code to send when we write a response.
-   * @param defaultCallback {function} Default function to call for this type.
-   */
-  constructor(server, request, response, statusCode, defaultCallback) {
-    this._server = server;
-    this._request = request;
-    this._response = response;
-    this._statusCode = statusCode;
-    this._defaultCallback = defaultCallback;
-    this._headers = { };
-  }
-
-  setHeader(key, value) {
-    this._response.setHeader(key, value);
-    return this;
-  }
-
-  /**
-   * Sends the given content to the caller as a response.
-   *
-   * @param value {string} The value to send.
-   * @param mimeType {string} The mime type to send.
-   */
-  content(value, mimeType) {
-    this._writeHead(mimeType);
-    this._response.write(value);
-    this._response.end();
-  }
-
-  /**
-   * Sends json data back to the caller as a response.
-   *
-   * @param value Any object to be sent.
-   */
-  data(value) {
-    this._writeHead('application/json');
-    this._response.write(JSON.stringify(value));
-    this._response.end();
-  }
-
-  /**
-   * Serves a file from the given location.
-   *
-   * @param filePath {string} The path of the file in question.
-   * @param nextCallback {function} A function to call if you get a not found.
-   */
-  file(filePath, nextCallback) {
-    serveFile(this._server, filePath, this._request, this._response, this._statusCode, nextCallback);
-  }
-
-  /**
-   * Does the default action if available.
-   */
-  doDefault() {
-    if (!this._defaultCallback) {
-      throw new Error("There is no default callback for this action (" + this._statusCode + ").");
-    }
-    this._defaultCallback(this._response);
-  }
-
-  _writeHead(mimeType) {
-    this._response.writeHead(this._statusCode, { 'Content-Type': mimeType });
-  }
-}
-
-// Utility methods
-// @private
-
-function isRouteVariable(str) {
-  return str.length > 0 && str[0] == ':';
-}
-
-/**
- * Splits a string path into an array based on the / character and prepends the
- * method.
- *
- * @param {string} pathname The string path to be split.
- * @param {string} method The method of the http request. Should be GET, PUT, POST, etc
- * @return {[string]} An array of split strings.
- */
-function getPieces(pathname, method) {
-  let pieces = pathname.split("/");
-  pieces.unshift(method);
-  return pieces;
-}
-
-function getBodyData(request, callback) {
-  var body = '';
-  request.on('data', function (data) {
-    body += data;
-  });
-  request.on('end', function () {
-    callback(JSON.parse(body));
-  });
-}
-
-function normalizePath(pathname) {
-  if (pathname[0] == '/') {
-    pathname = pathname.substring(1);
-  }
-  if (pathname[pathname.length - 1] == '/') {
-    pathname = pathname.substring(0, pathname.length - 1);
-  }
-  return pathname;
-}
-
-// Module exports.
-// @public
-module.exports = TyrannoServe;
-module.exports.mime = require('send').mime;
+//!
+// tyranno-serve
+// MIT License
+//
+// This file provides the server class that can be used to host services with minimal set up for both static files and rest.
+
+'use strict';
+
+// Module dependencies.
+// @private
+var _ = require('lodash');
+var EventEmitter = require('events');
+var etag = require('etag');
+var fresh = require('fresh');
+var fs = require('fs');
+var http = require('http');
+var open = require('opn');
+var rangeParser = require('range-parser');
+var url = require('url');
+
+var tyrannoInput = require('./tyranno-input');
+var parseBody = require('./body-parser.js');
+var JSON_TYPE_REGEX = parseBody.JSON_TYPE_REGEX;
+var removeUploads = require('./multipart.js').removeUploads;
+var Router = require('./router.js');
+var negotiate = require('./negotiate.js');
+var preferredType = negotiate.preferredType;
+var vary = negotiate.vary;
+var normalizePath = Router.normalizePath;
+var getDefaultCallback = Router.getDefaultCallback;
+var addStaticPaths = require('./add-static-paths.js');
+var serveFile = require('./serve-file.js');
+var FileWatcher = require('./file-watcher');
+var EventChannel = require('./server-sent-events.js');
+var compressResponse = require('./compression.js');
+var cookies = require('./cookies.js');
+var sessions = require('./sessions.js');
+var Views = require('./views.js');
+var Rewrites = require('./rewrites.js');
+var HeaderRules = require('./header-rules.js');
+var trailingSlash = require('./trailing-slash.js');
+var pathPolicies = require('./path-policies.js');
+var injectLiveReload = require('./inject-live-reload.js');
+var Markdown = require('./markdown.js');
+
+// Module constants.
+// @private
+const BODY_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+// The statuses that have shortcuts on the response (like response.notFound()) and defaults that can be set.
+const STATUS_SHORTCUTS = [
+  { name: 'badRequest', statusCode: 400, message: 'Bad request.' },
+  { name: 'unauthorized', statusCode: 401, message: 'Unauthorized.' },
+  { name: 'forbidden', statusCode: 403, message: 'Forbidden.' },
+  { name: 'notFound', statusCode: 404, message: 'Not found.' },
+  { name: 'methodNotAllowed', statusCode: 405, message: 'Method not allowed.' },
+  { name: 'notAcceptable', statusCode: 406, message: 'Not acceptable.' },
+  { name: 'conflict', statusCode: 409, message: 'Conflict.' },
+  { name: 'payloadTooLarge', statusCode: 413, message: 'Payload too large.' },
+  { name: 'tooManyRequests', statusCode: 429, message: 'Too many requests.' },
+  { name: 'internalServerError', statusCode: 500, message: 'Internal server error.' },
+  { name: 'serviceUnavailable', statusCode: 503, message: 'Service unavailable.' }
+];
+const PROBLEM_TYPE = 'application/problem+json';
+
+/**
+ * Tyrannosaurus server. Does everything you want from a server. Defaults to a simple static server, but rest callbacks
+ * can be added later.
+ * @public
+ */
+class TyrannoServe {
+  /**
+   * Constructs the tyranno serve. Can be constructed similarly to how it is used on the command line.
+   *
+   * @param input {string|object} Either a path to a json file to use for settings or an object of settings. Note
+   * that this parameter is optional.
+   */
+  constructor(input) {
+    var self = this;
+
+    this._settings = tyrannoInput.fromInput(input);
+    this.hostname = this._settings.hostname;
+    this.shouldListen = !this._settings.noListen
+
+    this._fileWatcher = new FileWatcher(this._settings.wait, this._settings.noListenPaths);
+
+    this._router = new Router();
+    trailingSlash.checkTrailingSlash(this._settings.trailingSlash);
+    pathPolicies.checkPolicies(this._settings);
+    this._rewrites = new Rewrites(this._settings.redirects, this._settings.rewrites);
+    this._headerRules = new HeaderRules(this._settings);
+
+    this._emitter = new EventEmitter();
+    this._eventChannels = new Set();
+
+    if (this._settings.sessions || this._settings.sessionDirectory) {
+      let sessionOptions = _.extend({ directory: this._settings.sessionDirectory }, this._settings.sessions);
+      this._sessions = new sessions.SessionManager(sessionOptions, this._settings.cookieSecret);
+    }
+
+    for (let myUrl in this._settings.paths) {
+      let staticPaths = this._settings.paths[myUrl];
+      this.addPaths(myUrl, staticPaths);
+    }
+
+    this._views = new Views(this._settings.views || 'views');
+    this._watchViews();
+
+    if (this._settings.markdown) {
+      this._markdown = new Markdown(this._settings.markdownTemplate);
+      this._watchMarkdownTemplate();
+    }
+
+    if (this._settings.port) {
+      this.port = this._settings.port;
+    }
+
+    // util
+    this._responseAugmenter = new ResponseAugmenter(this);
+
+    STATUS_SHORTCUTS.forEach(function(shortcut) {
+      if (self._settings[shortcut.name]) {
+        self[shortcut.name + 'Default'](self._settings[shortcut.name]);
+      }
+    });
+  }
+
+  /**
+   * Adds a listener function to the given event name. Currently we do close events and error events. Error listeners
+   * are called with the error, the request and the response whenever a route handler or middleware throws or returns a
+   * rejected promise.
+   *
+   * @param eventName {string} The name of the event.
+   * @param listener {function} The callback to be called when the event happens.
+   */
+  addListener(eventName, listener) {
+    this._emitter.addListener(eventName, listener);
+  }
+
+  /**
+   * Adds a middleware function that is run before the callback of every matching route, including the static paths
+   * and the routes of mounted routers.
+   *
+   * @param pathname {string} Optional. When specified, the middleware only runs for requests at or under this path.
+   * @param middleware {function} A function that takes a request, a response and a next function. @see Router.use.
+   */
+  use(pathname, middleware) {
+    this._router.use.apply(this._router, arguments);
+  }
+
+  /**
+   * Adds the given set of paths to the specified route. Note that if multiple static paths are specified they
+   * are treated as fallbacks.
+   *
+   * @param urlPath {string} The url path to listen on.
+   * @param staticPaths {string|array} The set of static paths that this url should map to. When multiple are
+   * specified, if a resource cannot be found in the first static path the next paths will be searched in
+   * order.
+   */
+  addPaths(urlPath, staticPaths) {
+    if (!_.isString(urlPath)) {
+      throw new Error("Url path must be a string.");
+    }
+    if (!_.isArray(staticPaths)) {
+      throw new Error("Static paths must be an array.");
+    }
+
+    urlPath = normalizePath(urlPath);
+    addStaticPaths(this, urlPath, staticPaths, this._fileWatcher);
+  }
+
+  /**
+   * Adds a route to the given method and path. @see Router.addRoute for how paths are matched.
+   *
+   * @param method {string} The method. Should be GET, HEAD, PUT, POST, DELETE, PATCH or OPTIONS.
+   * @param pathname {string} The path, which may contain route variables like ':userId'.
+   * @param middleware {[function]} Optional. An array of middleware functions to run for this route only.
+   * @param callback A callback function that takes a request and a response object.
+   */
+  addRoute(method, pathname, middleware, callback) {
+    this._router.addRoute.apply(this._router, arguments);
+  }
+
+  /**
+   * Registers a template engine for render, @see ResponseSender.render. Templates ending in .html are rendered by a
+   * built in engine unless you replace it. For example:
+   *
+   *   server.engine('ejs', (templatePath, data, callback) => ejs.renderFile(templatePath, data, callback));
+   *
+   * @param extension {string} The extension of the templates the engine renders.
+   * @param render {function} Called with the path of the template, the data and a callback(err, html).
+   */
+  engine(extension, render) {
+    this._views.engine(extension, render);
+  }
+
+  // Reloads browsers when templates change, as long as a views directory was set and it exists.
+  _watchViews() {
+    if (!this.shouldListen || !this._settings.views || !fs.existsSync(this._views.directory)) {
+      return;
+    }
+
+    let watcher = this._fileWatcher.addWatch(this._views.directory);
+    if (!watcher) {
+      throw new Error("Unable to add watcher for views '" + this._views.directory + "'.");
+    }
+    this.addListener('close', () => watcher.close());
+  }
+
+  // Reloads pages when the markdown wrapper template changes, since it's usually not in a static path.
+  _watchMarkdownTemplate() {
+    if (!this.shouldListen || !this._markdown.templatePath) {
+      return;
+    }
+
+    let watcher = this._fileWatcher.addWatch(this._markdown.templatePath);
+    if (!watcher) {
+      throw new Error("Unable to add watcher for markdown template '" + this._markdown.templatePath + "'.");
+    }
+    this.addListener('close', () => watcher.close());
+  }
+
+  /**
+   * Lists every route of the server, including the static paths and the routes of mounted routers, in the order they
+   * are tried.
+   *
+   * @return {[object]} The routes, each with method, pattern, params and kind ('rest' or 'static'). Static routes also
+   * have staticPaths, their directories in fallback order. @see Router.routes.
+   */
+  routes() {
+    return this._router.routes();
+  }
+
+  // Adds the route for static paths. Used by addStaticPaths so routes() can tell them apart.
+  _addStaticRoute(pathname, staticPaths, callback) {
+    this._router._addRoute('GET', pathname, [], callback, { kind: 'static', staticPaths: staticPaths });
+  }
+
+  /**
+   * Mounts a router under the given path, so its routes and middleware are relative to that path. For example:
+   *
+   *   var users = new TyrannoServe.Router();
+   *   users.addRoute('GET', 'users/:userId', getUser);
+   *   server.mount('api/v1.0', users);
+   *
+   * @param pathname {string} The path to mount the router at.
+   * @param router {Router} The router to mount. @see Router.mount.
+   */
+  mount(pathname, router) {
+    this._router.mount(pathname, router);
+  }
+
+  /**
+   * Serves a particular request for this server object. Does routing logic and adds
+   * utility functions to the request and response objects before they are passed
+   * into the callback registered for a particular route.
+   *
+   * @param request The incoming http request.
+   * @param response The response object to send data to.
+   */
+  serve(request, response) {
+    this._responseAugmenter.augment(request, response);
+    compressResponse(request, response, this._settings);
+
+    if (trailingSlash.redirectTrailingSlash(request, response, this._settings.trailingSlash) ||
+        this._rewrites.apply(request, response)) {
+      // Redirected
+      return;
+    }
+    this._headerRules.apply(request, response);
+
+    var parsedUrl = url.parse(request.url, true);
+    var pathname = normalizePath(parsedUrl.pathname);
+    var method = request.method;
+    request.query = parsedUrl.query;
+
+    var match;
+    try {
+      match = this._router.match(pathname, method);
+    }
+    catch (error) {
+      if (!(error instanceof URIError)) {
+        throw error;
+      }
+      response.badRequest().doDefault();
+      return;
+    }
+
+    request.routeParams = match.routeParams;
+    if (match.notFoundDefault) {
+      this._responseAugmenter.augmentNotFound(request, response, match.notFoundDefault);
+    }
+
+    let route = match.route;
+    let methods = match.methods;
+
+    var self = this;
+    if (route && route.details.kind == 'rest' && this._sessions) {
+      this._sessions.load(request, response, function(err) {
+        if (err) {
+          self._handleError(err, request, response);
+          return;
+        }
+        self._runMiddleware(match.middleware, request, response, handle);
+      });
+    }
+    else {
+      this._runMiddleware(match.middleware, request, response, handle);
+    }
+
+    function handle() {
+      if (route) {
+        if (BODY_METHODS.has(method)) {
+          var callback = function(err, body, files) {
+            if (err) {
+              bodyErrorResponse(err, response);
+              return;
+            }
+            request.body = body;
+            if (files) {
+              request.fields = body;
+              request.files = files;
+              removeUploadsWhenDone(response, files);
+            }
+            self._callHandler(route.callback, request, response);
+          };
+          parseBody(request, self._settings, callback);
+        }
+        else {
+          self._callHandler(route.callback, request, response);
+        }
+      }
+      else if (methods && method == 'OPTIONS') {
+        response.writeHead(204, { 'Allow': match.allowedMethods });
+        response.end();
+      }
+      else if (methods) {
+        response.methodNotAllowed()
+          .setHeader('Allow', match.allowedMethods)
+          .doDefault();
+      }
+      else {
+        response.notFound().doDefault();
+      }
+    }
+  }
+
+  // Runs each middleware function in turn, each one continuing to the next by calling next. Done is called after the
+  // last middleware function calls next.
+  _runMiddleware(middleware, request, response, done) {
+    var self = this;
+    let index = 0;
+    next();
+
+    function next(err) {
+      if (err) {
+        self._handleError(err, request, response);
+        return;
+      }
+
+      if (index >= middleware.length) {
+        done();
+        return;
+      }
+
+      self._callMiddleware(middleware[index++], request, response, next);
+    }
+  }
+
+  // Calls a route callback. If it returns a promise, the resolved value is sent as json data (unless the callback
+  // already responded or the value is undefined). Thrown errors and rejections become internal server errors.
+  _callHandler(callback, request, response) {
+    var self = this;
+    let result = this._tryCall(callback, [request, response], request, response);
+
+    if (isPromise(result)) {
+      result
+        .then(function(value) {
+          if (value !== undefined && !response.headersSent) {
+            response.ok().data(value);
+          }
+        })
+        .then(null, (error) => self._handleError(error, request, response));
+    }
+  }
+
+  // Calls a middleware function. Unlike route callbacks, the resolved value of a returned promise is ignored.
+  _callMiddleware(middleware, request, response, next) {
+    var self = this;
+    let result = this._tryCall(middleware, [request, response, next], request, response);
+
+    if (isPromise(result)) {
+      result.then(null, (error) => self._handleError(error, request, response));
+    }
+  }
+
+  _tryCall(fn, args, request, response) {
+    try {
+      return fn.apply(null, args);
+    }
+    catch (error) {
+      this._handleError(error, request, response);
+    }
+  }
+
+  // Reports the error and sends an internal server error if nothing has been sent yet.
+  _handleError(error, request, response) {
+    this._reportError(error, request, response);
+
+    if (!response.headersSent) {
+      response.internalServerError().doDefault();
+    }
+    else if (!response.finished) {
+      response.end();
+    }
+  }
+
+  // Reports the error to any error listeners, or the console if there are none.
+  _reportError(error, request, response) {
+    if (this._emitter.listenerCount('error') > 0) {
+      this._emitter.emit('error', error, request, response);
+    }
+    else {
+      console.error("Error with route handler.");
+      console.error(error);
+    }
+  }
+
+  /**
+   * Actually starts listening for incoming requests.
+   *
+   * @param callback {function} A callback function for when listening has started.
+   */
+  listen(callback) {
+    if (!callback) {
+      callback = () => { };
+    }
+    else if (!_.isFunction(callback)) {
+      throw new Error("Callback must be a function or nothing.");
+    }
+
+    // If we don't wrap it we lose this
+    var self = this;
+    function serve(request, response) {
+      self.serve(request, response);
+    }
+
+    this._server = http.createServer(serve);
+
+    if (!this.port) {
+      this.port = 1024 + Math.floor(Math.random() * (65535 - 1024));
+    }
+
+    this._server.listen(this.port, this.hostname, 511, callback);
+
+    _.each(this._settings.open, function(pathname) {
+      open("http://127.0.0.1:" + self.port + "/" + normalizePath(pathname));
+    });
+
+    if (!this._settings.quiet) {
+      console.log("Serving at http://127.0.0.1:" + this.port);
+    }
+
+    this._fileWatcher.listenOn(this._server);
+  }
+
+  /**
+   * Turns off this server so that resources like ports and file watchers are released. Open server-sent event
+   * channels are closed too, and the session store (if there is one) is flushed.
+   *
+   * @param callback {function} A callback function for when closing has started.
+   */
+  close(callback) {
+    this._eventChannels.forEach((channel) => channel.close());
+    this._server.close(callback);
+    if (this._sessions) {
+      this._sessions.close(function(err) {
+        if (err) {
+          console.error("Error with closing the session store.");
+          console.error(err);
+        }
+      });
+    }
+    this._emitter.emit('close');
+  }
+
+  /**
+   * Sets the default callback for not found.
+   *
+   * @param input {string|function} Either a string or a function. If it's a callback it is used directly. If it's
+   * a string it is treated as a filename. WARNING: because the fallback and path mechanism is incompatible with this
+   * this string must either be an absolute path or relative to the CWD. Otherwise it can't find it.
+   */
+  notFoundDefault(input) {
+    this._setDefault('notFoundDefault', 'notFound', input);
+  }
+
+
+  /**
+   * Sets the default callback for bad request.
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  badRequestDefault(input) {
+    this._setDefault('badRequestDefault', 'badRequest', input);
+  }
+
+  /**
+   * Sets the default callback for not acceptable, which is sent by ResponseSender.negotiate when none of the types
+   * it can send are acceptable.
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  notAcceptableDefault(input) {
+    this._setDefault('notAcceptableDefault', 'notAcceptable', input);
+  }
+
+  /**
+   * Sets the default callback for internal server error.
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  internalServerErrorDefault(input) {
+    this._setDefault('internalServerErrorDefault', 'internalServerError', input);
+  }
+
+  /**
+   * Sets the default callback for unauthorized (401).
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  unauthorizedDefault(input) {
+    this._setDefault('unauthorizedDefault', 'unauthorized', input);
+  }
+
+  /**
+   * Sets the default callback for forbidden (403).
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  forbiddenDefault(input) {
+    this._setDefault('forbiddenDefault', 'forbidden', input);
+  }
+
+  /**
+   * Sets the default callback for method not allowed (405), which is sent when a path has routes but not for the
+   * method of the request. The Allow header is already set when it is called.
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  methodNotAllowedDefault(input) {
+    this._setDefault('methodNotAllowedDefault', 'methodNotAllowed', input);
+  }
+
+  /**
+   * Sets the default callback for conflict (409).
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  conflictDefault(input) {
+    this._setDefault('conflictDefault', 'conflict', input);
+  }
+
+  /**
+   * Sets the default callback for payload too large (413), which is sent when a request body is bigger than the max
+   * body size or an upload is bigger than the max file size.
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  payloadTooLargeDefault(input) {
+    this._setDefault('payloadTooLargeDefault', 'payloadTooLarge', input);
+  }
+
+  /**
+   * Sets the default callback for too many requests (429).
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  tooManyRequestsDefault(input) {
+    this._setDefault('tooManyRequestsDefault', 'tooManyRequests', input);
+  }
+
+  /**
+   * Sets the default callback for service unavailable (503).
+   *
+   * @param input {string|function} @see notFoundDefault.
+   */
+  serviceUnavailableDefault(input) {
+    this._setDefault('serviceUnavailableDefault', 'serviceUnavailable', input);
+  }
+
+  _setDefault(which, key, input) {
+    this._responseAugmenter[which] = getDefaultCallback(key, input);
+  }
+}
+
+/**
+ * The ResponseAugmenter is responsible for augmenting responses that come in throught the server with utility functions.
+ */
+class ResponseAugmenter {
+  /**
+   * Constructs the augmenter with a default for each status shortcut, which sends its message (or a problem, @see
+   * ResponseSender.problem).
+   */
+  constructor(server) {
+    var self = this;
+    this._server = server;
+    STATUS_SHORTCUTS.forEach(function(shortcut) {
+      self[shortcut.name + 'Default'] = (response) => response[shortcut.name]()._sendMessage(shortcut.message);
+    });
+  }
+
+  /**
+   * Actually augments the response. The augmented functions are: ok, redirect, fromStatus and one for each status
+   * shortcut: badRequest, unauthorized, forbidden, notFound, methodNotAllowed, notAcceptable, conflict,
+   * payloadTooLarge, tooManyRequests, internalServerError and serviceUnavailable. With the exception of redirect, all of
+   * these return a ResponseSender object. Redirect takes a redirectUrl string and optionally a status code (which
+   * defaults to 301) as arguments. The status shortcuts all have defaults that can be set up. The response also gets
+   * setCookie and clearCookie, and the request gets cookies and signedCookies, @see cookies.
+   *
+   * @param response The object to augment.
+   */
+  augment(request, response) {
+    var self = this;
+    response.ok = () => new ResponseSender(this._server, request, response, 200, null);
+    STATUS_SHORTCUTS.forEach(function(shortcut) {
+      response[shortcut.name] = () => new ResponseSender(self._server, request, response, shortcut.statusCode, self[shortcut.name + 'Default']);
+    });
+    response.redirect = function redirect(redirectUrl, statusCode) {
+      response.writeHead(statusCode || 301, { 'Location': redirectUrl });
+      response.end();
+    }
+    response.fromStatus = (statusCode) => new ResponseSender(this._server, request, response, statusCode, null);
+
+    let secret = this._server._settings.cookieSecret;
+    let parsed = cookies.parseCookies(request.headers['cookie'], secret);
+    request.cookies = parsed.cookies;
+    request.signedCookies = parsed.signedCookies;
+    response.setCookie = (name, value, options) => cookies.setCookie(response, name, value, options, secret);
+    response.clearCookie = (name, options) => cookies.clearCookie(response, name, options);
+  }
+
+  /**
+   * Replaces the not found default for one request, such as when it is handled by a router with its own default.
+   *
+   * @param request The request that goes with the response.
+   * @param response The object to augment.
+   * @param defaultCallback {function} The not found default to use.
+   */
+  augmentNotFound(request, response, defaultCallback) {
+    response.notFound = () => new ResponseSender(this._server, request, response, 404, defaultCallback);
+  }
+}
+
+/**
+ * The ResponseSender is a utility class that allows you to easily send data with
+ * a particular response code.
+ */
+class ResponseSender {
+  /**
+   * Constructor.
+   *
+   * @param server {TyrannoServe} The server object; used for settings.
+   * @param request The request object to use
+   * @param response The response object to use.
+   * @param statusCode {number} The status code to send when we write a response.
+   * @param defaultCallback {function} Default function to call for this type.
+   */
+  constructor(server, request, response, statusCode, defaultCallback) {
+    this._server = server;
+    this._request = request;
+    this._response = response;
+    this._statusCode = statusCode;
+    this._defaultCallback = defaultCallback;
+    this._headers = { };
+  }
+
+  setHeader(key, value) {
+    this._response.setHeader(key, value);
+    return this;
+  }
+
+  /**
+   * Sends the given content to the caller as a response. An ETag is generated from the content (unless one was set)
+   * and, for ok responses, requests that already have it get a 304 not modified and range requests get the part they
+   * asked for. Set a Last-Modified header first if there is one.
+   *
+   * @param value {string|Buffer} The value to send.
+   * @param mimeType {string} The mime type to send.
+   */
+  content(value, mimeType) {
+    this._sendBody(value, mimeType);
+  }
+
+  /**
+   * Sends json data back to the caller as a response. Like content, it gets an ETag and answers conditional requests.
+   *
+   * @param value Any object to be sent.
+   */
+  data(value) {
+    this._sendBody(JSON.stringify(value), 'application/json');
+  }
+
+  /**
+   * Streams the readable to the caller as a response. Backpressure is handled by piping. If the readable errors
+   * before anything is sent an internal server error is sent, otherwise the connection is cut so the client can tell
+   * the response is incomplete. Either way the error is reported like an error from a route. If the client goes away
+   * the readable is destroyed (if it can be).
+   *
+   * @param readable {stream.Readable} The stream to send.
+   * @param mimeType {string} The mime type to send.
+   */
+  stream(readable, mimeType) {
+    var self = this;
+    var response = this._response;
+
+    // Headers go out with the first chunk, so an error before then can still get a proper error response
+    response.statusCode = this._statusCode;
+    if (mimeType) {
+      response.setHeader('Content-Type', mimeType);
+    }
+
+    readable.on('error', function(error) {
+      readable.unpipe(response);
+      if (!response.headersSent) {
+        self._server._handleError(error, self._request, response);
+      }
+      else {
+        self._server._reportError(error, self._request, response);
+        response.destroy();
+      }
+    });
+
+    response.on('close', function() {
+      readable.unpipe(response);
+      if (_.isFunction(readable.destroy)) {
+        readable.destroy();
+      }
+    });
+
+    readable.pipe(response);
+  }
+
+  /**
+   * Opens a server-sent events channel (text/event-stream) to the caller. The channel stays open until it is closed,
+   * the client disconnects or the server is closed. For example:
+   *
+   *   let channel = response.ok().events();
+   *   let timer = setInterval(() => channel.send('progress', { percent: percent }), 1000);
+   *   channel.on('close', () => clearInterval(timer));
+   *
+   * @param options {object} Optional. May have keepAlive, the milliseconds between keep alive comments (defaults to 15
+   * seconds, 0 turns them off), and retry, the milliseconds the client should wait before reconnecting.
+   * @return {EventChannel} The channel, with send(event, data, id), comment(text), close() and lastEventId (from the
+   * Last-Event-ID header a reconnecting client sends).
+   */
+  events(options) {
+    var channels = this._server._eventChannels;
+    let channel = new EventChannel(this._request, this._response, this._statusCode, options);
+
+    channels.add(channel);
+    channel.on('close', () => channels.delete(channel));
+    return channel;
+  }
+
+  /**
+   * Renders a template from the views directory and sends it as html, with the live reload code when it's on. Errors
+   * (like a missing template) are handled like errors from a route. For example:
+   *
+   *   response.ok().render('users/profile', { user: user });
+   *
+   * @param name {string} The path of the template in the views directory. The extension can be left off.
+   * @param data {object} The data to render it with.
+   */
+  render(name, data) {
+    var self = this;
+    this._server._views.render(name, data, function(err, html) {
+      if (err) {
+        self._server._handleError(err, self._request, self._response);
+        return;
+      }
+
+      if (self._server.shouldListen) {
+        html = injectLiveReload(html);
+      }
+      self.content(html, 'text/html');
+    });
+  }
+
+  /**
+   * Serves a file from the given location.
+   *
+   * @param filePath {string} The path of the file in question.
+   * @param nextCallback {function} A function to call if you get a not found.
+   */
+  file(filePath, nextCallback) {
+    serveFile(this._server, filePath, this._request, this._response, this._statusCode, nextCallback);
+  }
+
+  /**
+   * Sends whichever of several representations the client prefers according to its Accept header (with q values).
+   * The Vary header is set to Accept. For example:
+   *
+   *   response.ok().negotiate({
+   *     'application/json': user,
+   *     'text/html': (sender) => sender.content(renderUser(user), 'text/html'),
+   *     default: (sender) => sender.content(user.name, 'text/plain')
+   *   });
+   *
+   * @param handlers {object} Keyed by mime type, in order of preference. A function is called with this sender (and
+   * the chosen type) and should send the response itself. Any other value is sent with data() for json types or with
+   * content() for anything else. The optional default key is used when none of the types are acceptable (a value is
+   * sent as the first type). Without a default, the not acceptable default is sent.
+   */
+  negotiate(handlers) {
+    let types = _.keys(_.omit(handlers, 'default'));
+    let type = preferredType(this._request.headers['accept'], types);
+    let handler = handlers[type];
+
+    vary(this._response, 'Accept');
+
+    if (!type) {
+      if (!_.has(handlers, 'default')) {
+        this._response.notAcceptable().doDefault();
+        return;
+      }
+      type = types[0];
+      handler = handlers['default'];
+    }
+
+    if (_.isFunction(handler)) {
+      handler.call(null, this, type);
+    }
+    else if (JSON_TYPE_REGEX.test(type)) {
+      this.data(handler);
+    }
+    else {
+      this.content(handler, type);
+    }
+  }
+
+  /**
+   * Sends an RFC 7807 problem (application/problem+json). The status and title (the standard reason phrase for the
+   * status) are filled in, as is instance (the url of the request). For example:
+   *
+   *   response.conflict().problem({ detail: "That name is taken.", name: name });
+   *
+   * @param details {object} Optional. More members of the problem, like type, detail or anything else of your own.
+   */
+  problem(details) {
+    let problem = _.extend({
+      type: 'about:blank',
+      title: http.STATUS_CODES[this._statusCode] || 'Unknown',
+      status: this._statusCode,
+      instance: this._request.url
+    }, details);
+    this._sendBody(JSON.stringify(problem), PROBLEM_TYPE);
+  }
+
+  // Sends the built in default for a status: the message, or a problem if problems are turned on and the client
+  // prefers json.
+  _sendMessage(message) {
+    if (this._server._settings.problemJson) {
+      vary(this._response, 'Accept');
+      let types = ['text/plain', PROBLEM_TYPE, 'application/json'];
+      if (preferredType(this._request.headers['accept'], types) != 'text/plain') {
+        this.problem();
+        return;
+      }
+    }
+    this.content(message, 'text/plain');
+  }
+
+  /**
+   * Does the default action if available.
+   */
+  doDefault() {
+    if (!this._defaultCallback) {
+      throw new Error("There is no default callback for this action (" + this._statusCode + ").");
+    }
+    this._defaultCallback(this._response);
+  }
+
+  // Sends a whole body with its validators, Content-Length and, if it was asked for and still matches, a single range.
+  _sendBody(body, mimeType) {
+    let request = this._request;
+    let response = this._response;
+    let buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    let statusCode = this._statusCode;
+
+    let headers = {};
+    if (mimeType) {
+      headers['Content-Type'] = mimeType;
+    }
+    if (!response.getHeader('ETag')) {
+      headers['ETag'] = etag(buffer);
+    }
+
+    // Only the ok response for a url is cached and ranged, not errors and the like
+    if (statusCode == 200 && (request.method == 'GET' || request.method == 'HEAD')) {
+      let validators = {
+        'etag': response.getHeader('ETag') || headers['ETag'],
+        'last-modified': response.getHeader('Last-Modified')
+      };
+
+      if (fresh(request.headers, validators)) {
+        headers = _.omit(headers, 'Content-Type');
+        response.writeHead(304, headers);
+        response.end();
+        return;
+      }
+
+      headers['Accept-Ranges'] = 'bytes';
+      let ranges = isRangeCurrent(request, validators) ? rangeParser(buffer.length, request.headers['range']) : -2;
+      if (ranges === -1) {
+        headers['Content-Range'] = 'bytes */' + buffer.length;
+        response.writeHead(416, headers);
+        response.end();
+        return;
+      }
+      // Malformed and multiple ranges just get the whole body
+      if (ranges !== -2 && ranges.type == 'bytes' && ranges.length == 1) {
+        let range = ranges[0];
+        headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + buffer.length;
+        statusCode = 206;
+        buffer = buffer.slice(range.start, range.end + 1);
+      }
+    }
+
+    // Compression needs the length to know whether it's worth it
+    headers['Content-Length'] = buffer.length;
+    response.writeHead(statusCode, headers);
+    response.end(buffer);
+  }
+}
+
+// Utility methods
+// @private
+
+// Whether the request has a Range header that still applies, which it doesn't if its If-Range is out of date.
+function isRangeCurrent(request, validators) {
+  if (!request.headers['range']) {
+    return false;
+  }
+
+  let ifRange = request.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.indexOf('"') != -1) {
+    return ifRange == validators['etag'];
+  }
+  let lastModified = Date.parse(validators['last-modified']);
+  return !isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+}
+
+function isPromise(value) {
+  return value != null && _.isFunction(value.then);
+}
+
+function bodyErrorResponse(err, response) {
+  if (err.statusCode == 413) {
+    response.payloadTooLarge().doDefault();
+  }
+  else if (err.statusCode == 500) {
+    console.error("Error with request body.");
+    console.error(err);
+    response.internalServerError().doDefault();
+  }
+  else {
+    response.badRequest().doDefault();
+  }
+}
+
+// Uploaded files are only kept around until the response has been sent (or the connection drops).
+function removeUploadsWhenDone(response, files) {
+  let remove = _.once(() => removeUploads(files));
+  response.on('finish', remove);
+  response.on('close', remove);
+}
+
+// Module exports.
+// @public
+module.exports = TyrannoServe;
+module.exports.Router = Router;
+module.exports.MemoryStore = sessions.MemoryStore;
+module.exports.FileStore = sessions.FileStore;
+module.exports.mime = require('send').mime;
@@ -0,0 +1,175 @@
+/*!
+ * views
+ * MIT License
+ *
+ * This file finds templates in the views directory and renders them with the engine registered for their extension.
+ */
+
+'use strict';
+
+/**
+ * Module dependencies.
+ * @private
+ */
+var _ = require('lodash');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Module constants.
+ * @private
+ */
+// {{{ raw }}} has to be tried before {{ escaped }}
+const TAG_REGEX = /\{\{\{\s*([\w.$-]+)\s*\}\}\}|\{\{\s*([\w.$-]+)\s*\}\}/g;
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_UNESCAPES = _.invert(HTML_ESCAPES);
+
+/**
+ * The views directory and the engines that render the templates in it. Templates are read every time they are
+ * rendered, so changes show up right away.
+ * @internal
+ */
+class Views {
+  /**
+   * @param directory {string} The directory templates are looked up in.
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this._engines = [];
+    this.engine('html', renderHtml);
+  }
+
+  /**
+   * Registers the engine for templates with the given extension, replacing any engine it already had.
+   *
+   * @param extension {string} The extension of the templates, with or without the dot.
+   * @param render {function} Called with the template's path, the data and a callback(err, html).
+   */
+  engine(extension, render) {
+    if (!_.isString(extension) || !extension) {
+      throw new Error("Engine extension must be a string.");
+    }
+    if (!_.isFunction(render)) {
+      throw new Error("Engine must be a function.");
+    }
+
+    extension = extension.startsWith('.') ? extension : '.' + extension;
+    this._engines = _.reject(this._engines, { extension: extension });
+    this._engines.push({ extension: extension, render: render });
+  }
+
+  /**
+   * Renders a template. The name is a path in the views directory and may leave off the extension, in which case each
+   * engine's extension is tried in the order they were registered.
+   *
+   * @param name {string} The name of the template.
+   * @param data {object} The data to render the template with.
+   * @param callback {function} Called with an error or the rendered html.
+   */
+  render(name, data, callback) {
+    var self = this;
+    let filePath = path.resolve(this.directory, name);
+    if (filePath.indexOf(this.directory + path.sep) != 0) {
+      callback(new Error("View '" + name + "' is outside of the views directory."));
+      return;
+    }
+
+    let engine = _.findWhere(this._engines, { extension: path.extname(filePath) });
+    if (engine) {
+      callEngine(engine, filePath);
+      return;
+    }
+
+    let index = 0;
+    tryNext();
+
+    function tryNext() {
+      if (index >= self._engines.length) {
+        callback(new Error("Unable to find view '" + name + "' in '" + self.directory + "'."));
+        return;
+      }
+
+      let candidate = self._engines[index++];
+      fs.stat(filePath + candidate.extension, function(err, stats) {
+        if (err || !stats.isFile()) {
+          tryNext();
+          return;
+        }
+        callEngine(candidate, filePath + candidate.extension);
+      });
+    }
+
+    function callEngine(engine, templatePath) {
+      let called = false;
+      let done = function(err, html) {
+        if (!called) {
+          called = true;
+          callback(err, html);
+        }
+      };
+
+      try {
+        engine.render(templatePath, data || {}, done);
+      }
+      catch (error) {
+        done(error);
+      }
+    }
+  }
+}
+
+// The built in engine for .html templates. {{ name }} is replaced with the html escaped value (dots go into objects)
+// and {{{ name }}} with the value as it is.
+function renderHtml(templatePath, data, callback) {
+  fs.readFile(templatePath, 'utf8', function(err, template) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    callback(null, fillTemplate(template, data));
+  });
+}
+
+/**
+ * Fills in a template the way the built in .html engine does.
+ * @internal
+ *
+ * @param template {string} The template.
+ * @param data {object} The data to fill it in with.
+ * @return {string} The html.
+ */
+function fillTemplate(template, data) {
+  return template.replace(TAG_REGEX, function(tag, raw, escaped) {
+    let value = _.get(data, raw || escaped);
+    value = value == null ? '' : String(value);
+    return raw ? value : escapeHtml(value);
+  });
+}
+
+/**
+ * Escapes text so it can go in html, including attribute values.
+ * @internal
+ *
+ * @param text {string} The text, which is turned into a string if it isn't one.
+ * @return {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+/**
+ * Turns text escaped by escapeHtml back into the original. Other entities are left as they are.
+ * @internal
+ *
+ * @param html {string} The escaped text.
+ * @return {string} The text.
+ */
+function unescapeHtml(html) {
+  return html.replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => HTML_UNESCAPES[entity]);
+}
+
+module.exports = Views;
+module.exports.fillTemplate = fillTemplate;
+module.exports.escapeHtml = escapeHtml;
+module.exports.unescapeHtml = unescapeHtml;